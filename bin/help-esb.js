@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// # help-esb
+// A command line client for poking at the ESB by hand.  Messages are printed
+// as JSON lines (one message per line) so that the output can be piped into
+// tools like `jq`.
+//
+//     help-esb --esb tcp://localhost:8900 tail 'orders.*'
+//     help-esb send orders.created '{"id": 1234}'
+//     help-esb rpc --timeout 5000 users.lookup '{"id": 1}' | jq .data
+//     help-esb serve users.lookup --script ./lookup.js
+//
+// Run `help-esb --help` for all of the commands and options.
+'use strict';
+
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+
+var usage = [
+  'Usage: help-esb [options] <command> [arguments]',
+  '',
+  'Commands:',
+  '  tail <group...>              Print the messages sent to the groups',
+  '  send <group> <json>          Send a message to the group',
+  '  rpc <group> <json>           Send a request and print the reply',
+  '  serve <group> --echo         Reply to requests with their own data',
+  '  serve <group> --script <js>  Reply to requests with the module\'s handler',
+  '',
+  'Pass - as the JSON to read it from stdin.',
+  '',
+  'Options:',
+  '  --esb <uri>        ESB URI(s), comma-separated (default: $ESB)',
+  '  --name <name>      Name to login as (default: help-esb-cli)',
+  '  --token <token>    Bearer token to login with (default: $ESB_TOKEN)',
+  '  --timeout <ms>     How long rpc waits for the reply (default: 30000)',
+  '  --data             Print only the data of messages',
+  '  --pretty           Pretty-print messages instead of JSON lines',
+  '  -h, --help         Show this help'
+].join('\n');
+
+// Options that take a value; every other option is a flag.
+var valueOptions = ['esb', 'name', 'token', 'timeout', 'script'];
+
+// Splits the command line arguments into the options and the positional
+// arguments (in `_`).
+var parseArgs = function(argv) {
+  var options = {_: []};
+  for (var i = 0; i < argv.length; i++) {
+    var match = /^--?([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (argv[i] === '-' || !match) {
+      options._.push(argv[i]);
+    } else if (match[1] === 'h') {
+      options.help = true;
+    } else if (!_.contains(valueOptions, match[1])) {
+      options[match[1]] = true;
+    } else if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else {
+      options[match[1]] = argv[++i];
+    }
+  }
+
+  return options;
+};
+
+var options = parseArgs(process.argv.slice(2));
+var command = options._[0];
+var args = options._.slice(1);
+
+// Prints the message (or just its data) to stdout.
+var print = function(message) {
+  var value = options.data ? message.toJSON().data : message.toJSON();
+  console.log(JSON.stringify(value, null, options.pretty ? 2 : null));
+};
+
+// Prints the error to stderr as JSON, including the details of RPC errors.
+var printError = function(error) {
+  var envelope = error instanceof Error ?
+    _.extend(
+      {name: error.name, message: error.message},
+      _.pick(error, 'code', 'details')
+    ) :
+    {message: '' + error};
+
+  console.error(JSON.stringify({error: envelope}));
+};
+
+// Parses the JSON argument, reading it from stdin if it is `-`.
+var readJson = function(json) {
+  if (json !== '-') {
+    return Promise.try(JSON.parse.bind(JSON, json || '{}'));
+  }
+
+  return new Promise(function(resolve, reject) {
+    var input = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', function(data) {
+      input += data;
+    });
+    process.stdin.on('error', reject);
+    process.stdin.on('end', function() {
+      resolve(input);
+    });
+  }).then(JSON.parse);
+};
+
+// Connects and logs in.  Commands that only do one thing don't keep trying
+// to reach an ESB that isn't there.
+var connect = function(oneShot) {
+  if (!options.esb && !process.env.ESB) {
+    throw new Error('No ESB given; use --esb or set $ESB');
+  }
+
+  var client = new HelpEsb.Client(
+    (options.esb || process.env.ESB).split(','),
+    oneShot ? {reconnect: {maxAttempts: 3}} : {}
+  );
+  client.on('type.error', printError);
+
+  var token = options.token || process.env.ESB_TOKEN;
+  client.login(options.name || 'help-esb-cli', token ? {token: token} : null);
+
+  return client;
+};
+
+// Shuts the client down when the process is asked to stop.
+var runUntilStopped = function(client) {
+  var stop = function() {
+    client.shutdown().finally(process.exit.bind(process, 0));
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+};
+
+var commands = {
+  tail: function() {
+    var client = connect(false);
+    var subscribed = Promise.all(args.map(function(group) {
+      return client.subscribe(group);
+    }));
+
+    // Listening for every message (instead of each group) prints messages
+    // matching more than one of the groups only once.
+    client.on('*', function(message) {
+      var groups = [].concat(message.getMeta('group', []));
+      var matches = _.any(args, function(pattern) {
+        return _.any(groups, _.partial(HelpEsb.matchGroup, pattern));
+      });
+
+      if (message.getMeta('type') === 'sendMessage' && matches) {
+        print(message);
+      }
+    });
+
+    runUntilStopped(client);
+
+    return subscribed;
+  },
+
+  send: function() {
+    return readJson(args[1]).then(function(data) {
+      var client = connect(true);
+
+      return client.send(args[0], data).finally(function() {
+        return client.shutdown();
+      });
+    });
+  },
+
+  rpc: function() {
+    return readJson(args[1]).then(function(data) {
+      var client = connect(true);
+      var timeout = options.timeout ? parseInt(options.timeout, 10) : 30000;
+
+      return client.rpcSend(args[0], data, null, {timeout: timeout})
+        .then(print)
+        .finally(function() {
+          return client.shutdown();
+        });
+    });
+  },
+
+  serve: function() {
+    var handler;
+    if (options.script) {
+      handler = require(path.resolve(options.script));
+    } else if (options.echo) {
+      handler = function(message) {
+        return message.toJSON().data;
+      };
+    } else {
+      throw new Error('serve needs either --echo or --script');
+    }
+
+    var client = connect(false);
+    client.rpcReceive(args[0], function(message) {
+      print(message);
+
+      return handler(message);
+    });
+
+    runUntilStopped(client);
+  }
+};
+
+if (options.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+// Every command needs at least a group.
+if (!_.has(commands, command) || args.length === 0) {
+  console.error(usage);
+  process.exit(1);
+}
+
+Promise.try(commands[command]).catch(function(error) {
+  printError(error);
+  process.exit(1);
+});
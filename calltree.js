@@ -0,0 +1,290 @@
+(function(root, factory) {
+  'use strict';
+
+  // The call tree helpers depend on the client for message handling.
+  factory(
+    exports,
+    require('./help-esb'),
+    require('bluebird'),
+    require('lodash')
+  );
+}(this, function(HelpEsbCallTree, HelpEsb, Promise, _) {
+  'use strict';
+
+  // ## HelpEsbCallTree.Recorder
+  // Reconstructs the topography of calls between services from the `id`,
+  // `inre`, and `replyTo` meta fields of the messages involved.  Every
+  // message sent in regards to (`inre`) another becomes its child, and every
+  // reply becomes a child of the request it replies to, so a slow
+  // multi-service request can be followed hop by hop.
+  //
+  //     var CallTree = require('help-esb/calltree');
+  //     var recorder = new CallTree.Recorder();
+  //     recorder.attach(client);
+  //
+  //     // ... later
+  //     console.log(recorder.toAscii());
+  //
+  // Messages can also be fed in from captured traffic with
+  // [load](#helpesbcalltree-recorder-load) or
+  // [read](#helpesbcalltree-recorder-read).
+  //
+  // Only payload (`sendMessage`) messages are part of the tree; logins,
+  // subscriptions, and heartbeats are ignored.
+
+  // ### HelpEsbCallTree.Recorder *constructor*
+  // Creates an empty recorder.
+  HelpEsbCallTree.Recorder = function() {
+    this._messages = {};
+    this._order = [];
+  };
+
+  // ### HelpEsbCallTree.Recorder.attach
+  // Records every message the client sends and receives from now on, timed
+  // to the millisecond as they pass through the client's middleware.
+  HelpEsbCallTree.Recorder.prototype.attach = function(client) {
+    var record = function(message, next) {
+      this.record(message, Date.now());
+
+      return next(message);
+    }.bind(this);
+
+    client.use({outbound: record, inbound: record});
+
+    return this;
+  };
+
+  // ### HelpEsbCallTree.Recorder.record
+  // Records a single message (a `HelpEsb.Message` or its JSON form).  The
+  // time the message was seen, in milliseconds, is optional; without it, the
+  // message's `ts` is used, which is only accurate to the second.
+  //
+  // A message that was already recorded (e.g., both as sent and received) is
+  // only kept the first time.
+  HelpEsbCallTree.Recorder.prototype.record = function(message, time) {
+    if (!(message instanceof HelpEsb.Message)) {
+      message = new HelpEsb.Message(message);
+    }
+
+    var id = message.getMeta('id');
+    var payload = message.getMeta('type') === 'sendMessage';
+    if (!payload || _.has(this._messages, id)) {
+      return;
+    }
+
+    this._messages[id] = {
+      message: message,
+      time: _.isNumber(time) ? time : message.getMeta('ts', 0) * 1000
+    };
+    this._order.push(id);
+  };
+
+  // ### HelpEsbCallTree.Recorder.load
+  // Records the messages in the given newline-delimited JSON, like captured
+  // ESB traffic.  Each line is either a message or a recording entry with the
+  // time the message was seen (`at`, in milliseconds) and the `message`.
+  // Blank lines are skipped.
+  HelpEsbCallTree.Recorder.prototype.load = function(ndjson) {
+    ndjson.split('\n').forEach(function(line) {
+      if (line.trim() === '') {
+        return;
+      }
+
+      var entry = JSON.parse(line);
+      if (_.has(entry, 'message')) {
+        this.record(entry.message, entry.at);
+      } else {
+        this.record(entry);
+      }
+    }, this);
+
+    return this;
+  };
+
+  // ### HelpEsbCallTree.Recorder.read
+  // Like [load](#helpesbcalltree-recorder-load), but reads the traffic from a
+  // readable stream (e.g., a file or stdin).  Returns a promise that is
+  // resolved with the recorder once the stream ends.
+  //
+  //     recorder.read(fs.createReadStream('traffic.ndjson'))
+  //       .then(function(recorder) {
+  //         console.log(recorder.toDot());
+  //       });
+  HelpEsbCallTree.Recorder.prototype.read = function(stream) {
+    var buffer = '';
+
+    return new Promise(function(resolve, reject) {
+      stream.setEncoding('utf-8');
+      stream.on('data', function(data) {
+        var lines = (buffer + data).split('\n');
+        buffer = lines.pop();
+        this.load(lines.join('\n'));
+      }.bind(this));
+      stream.on('error', reject);
+      stream.on('end', function() {
+        this.load(buffer);
+        resolve(this);
+      }.bind(this));
+    }.bind(this));
+  };
+
+  // ### HelpEsbCallTree.Recorder.tree
+  // Builds the call trees from the recorded messages.  Returns the list of
+  // root nodes: the messages that aren't in regards or in reply to any other
+  // recorded message.  Each node has:
+  // * `id`, `type`, `group`, `from` (the sender's channel id), and `result`:
+  //   From the message's meta.
+  // * `relation`: How it relates to its parent, `inre` or `reply` (`null` for
+  //   roots).
+  // * `time`: When the message was seen, in milliseconds.
+  // * `latency`: Milliseconds since its parent was seen (`null` for roots).
+  //   For replies, this is the time the request took.
+  // * `children`: The child nodes, in the order they were seen.
+  // * `message`: The `HelpEsb.Message` itself.
+  HelpEsbCallTree.Recorder.prototype.tree = function() {
+    var nodes = _.mapValues(this._messages, function(entry, id) {
+      var message = entry.message;
+
+      return {
+        id: id,
+        type: message.getMeta('type'),
+        group: message.getMeta('group', null),
+        from: message.getMeta('from', null),
+        result: message.getMeta('result', null),
+        relation: null,
+        time: entry.time,
+        latency: null,
+        children: [],
+        message: message
+      };
+    });
+
+    var roots = [];
+    _.each(this._order, function(id) {
+      var node = nodes[id];
+      var message = node.message;
+      var parentId = message.getMeta('replyTo') || message.getMeta('inre');
+      if (!_.has(nodes, parentId)) {
+        roots.push(node);
+        return;
+      }
+
+      var parent = nodes[parentId];
+      node.relation = message.hasMeta('replyTo') ? 'reply' : 'inre';
+      node.latency = node.time - parent.time;
+      parent.children.push(node);
+    });
+
+    var byTime = function(list) {
+      return _.sortBy(list, 'time').map(function(node) {
+        node.children = byTime(node.children);
+
+        return node;
+      });
+    };
+
+    return byTime(roots);
+  };
+
+  // ### HelpEsbCallTree.Recorder.toJSON
+  // Returns the call trees as plain objects, without the messages themselves,
+  // ready for `JSON.stringify`.
+  HelpEsbCallTree.Recorder.prototype.toJSON = function() {
+    var strip = function(node) {
+      return _.extend(_.omit(node, 'message', 'children'), {
+        children: node.children.map(strip)
+      });
+    };
+
+    return this.tree().map(strip);
+  };
+
+  // ### HelpEsbCallTree.Recorder.toAscii
+  // Renders the call trees as text, one message per line, with the latency
+  // of every hop.  Message ids and the channel ids of their senders are
+  // shortened to their first 8 characters.
+  //
+  //     orders.create 3f2a9c1e from 5d1e0a2b
+  //     |-- inventory.reserve 7b0e44d2 from 80c4f1e9 +4ms
+  //     |   `-- reply 91c0d3aa SUCCESS from 2a7c9b30 +38ms
+  //     `-- reply 0c9e1f57 SUCCESS from 80c4f1e9 +51ms
+  HelpEsbCallTree.Recorder.prototype.toAscii = function() {
+    var lines = [];
+    var render = function(node, prefix, childPrefix) {
+      lines.push(prefix + label(node, ' '));
+      node.children.forEach(function(child, i) {
+        var last = i === node.children.length - 1;
+        render(
+          child,
+          childPrefix + (last ? '`-- ' : '|-- '),
+          childPrefix + (last ? '    ' : '|   ')
+        );
+      });
+    };
+
+    this.tree().forEach(function(root) {
+      render(root, '', '');
+    });
+
+    return lines.join('\n');
+  };
+
+  // ### HelpEsbCallTree.Recorder.toDot
+  // Renders the call trees as a [Graphviz](http://www.graphviz.org/) digraph.
+  // Replies are drawn with dashed edges and every edge is labeled with the
+  // latency of the hop.
+  //
+  //     fs.writeFileSync('calls.dot', recorder.toDot());
+  //     // dot -Tsvg calls.dot > calls.svg
+  HelpEsbCallTree.Recorder.prototype.toDot = function() {
+    var lines = ['digraph calls {', '  node [shape=box];'];
+    var render = function(node) {
+      lines.push(
+        '  ' + quote(node.id) + ' [label=' + quote(label(node, '\n')) + '];'
+      );
+      node.children.forEach(function(child) {
+        lines.push(
+          '  ' + quote(node.id) + ' -> ' + quote(child.id) + ' [label=' +
+            quote('+' + child.latency + 'ms') +
+            (child.relation === 'reply' ? ', style=dashed' : '') + '];'
+        );
+        render(child);
+      });
+    };
+
+    this.tree().forEach(render);
+    lines.push('}');
+
+    return lines.join('\n');
+  };
+
+  // ---
+  // ### Private Functions
+
+  // Describes a node for the renderings, joining the parts with the given
+  // separator.
+  var label = function(node, separator) {
+    var parts = [
+      node.relation === 'reply' ? 'reply' : [].concat(node.group).join(','),
+      node.id.slice(0, 8)
+    ];
+    if (node.result !== null) {
+      parts.push(node.result);
+    }
+
+    if (node.from !== null) {
+      parts.push('from ' + String(node.from).slice(0, 8));
+    }
+
+    if (node.latency !== null) {
+      parts.push('+' + node.latency + 'ms');
+    }
+
+    return parts.join(separator);
+  };
+
+  // Quotes a string for Graphviz.
+  var quote = function(string) {
+    return JSON.stringify(string);
+  };
+}));
@@ -2,8 +2,7 @@ var HelpEsb = require('../help-esb');
 var client = new HelpEsb.Client(process.env.ESB, {debug: true});
 client.login('rpcSend');
 
-client.rpcSend('rpc-test', {name: 'nubs'})
-  .timeout(5000)
+client.rpcSend('rpc-test', {name: 'nubs'}, null, {timeout: 5000})
   .then(function(message) {
     console.log('Received response:');
     console.log(message.toJSON());
@@ -6,34 +6,50 @@
   factory(
     exports,
     require('net'),
+    require('tls'),
+    require('ws'),
     require('events').EventEmitter,
+    require('stream').Readable,
     require('util'),
     require('url'),
+    require('zlib'),
+    require('crypto'),
     require('bluebird'),
     require('uuid'),
     require('lodash'),
-    require('object-path')
+    require('object-path'),
+    require('tv4')
   );
 }(this, function(
   HelpEsb,
   net,
+  tls,
+  WebSocket,
   EventEmitter,
+  Readable,
   util,
   url,
+  zlib,
+  crypto,
   Promise,
   uuid,
   _,
-  objectPath
+  objectPath,
+  tv4
 ) {
   'use strict';
 
   // ## HelpEsb.Client
 
   // ### HelpEsb.Client *constructor*
-  // The client connects to the ESB running on the given host/port.  You will
-  // need to [login](#helpesb-client-login) before doing anything over the
+  // The client connects to the ESB running at the given URI.  You will need
+  // to [login](#helpesb-client-login) before doing anything over the
   // connection.
   //
+  // The URI's scheme picks the [transport](#helpesb-transports): `tcp://`
+  // for plain TCP, `tcps://` (or `tls://`) for TLS, `unix://` for a Unix
+  // domain socket, and `ws://`/`wss://` for WebSocket.
+  //
   //     var client = new Esb.Client('tcp://example.com:1234');
   //     client.login('clientName');
   //     client.subscribe('subscriptionChannel1');
@@ -51,42 +67,305 @@
   //       return result;
   //     });
   //
+  // To fail over between several ESB nodes, pass a list of URIs instead.  The
+  // client starts with the first one and moves on to the next whenever the
+  // connection fails or closes.  The URI currently in use is available as
+  // `client.endpoint`, and an `endpoint.change` event is emitted with the new
+  // and previous URIs when it changes.
+  //
+  //     var client = new Esb.Client([
+  //       'tcp://esb1.example.com:1234',
+  //       'tcp://esb2.example.com:1234'
+  //     ]);
+  //
   // Supported options:
-  // * `debug`: This logs messages to the console.
+  // * `tls`: Options for the `tcps://` and `wss://` transports, like the `ca`,
+  //   `cert`, and `key` to use.  These are passed on to Node.js's
+  //   `tls.connect`.
+  // * `debug`: This logs messages to the console (using the
+  //   [logger](#helpesb-middleware-logger) middleware).
+  // * `telemetry`: An object implementing the
+  //   [HelpEsb.Telemetry](#helpesb-telemetry) interface that receives spans
+  //   for RPC requests and metrics about the client.  Nothing is recorded by
+  //   default.
   // * `newrelic`: This option can be set as an instance of the newrelic agent.
   //   RPC requests received by this client will be wrapped in a newrelic
-  //   transaction named after the group.
+  //   transaction named after the group.  This is shorthand for a `telemetry`
+  //   of `new HelpEsb.NewRelicTelemetry(newrelic)`.
+  // * `reconnect`: Controls how the client reconnects after the socket
+  //   closes.  Set to `false` to disable reconnecting entirely, or pass an
+  //   object with any of:
+  //   * `initialDelay`: Milliseconds to wait before the first attempt
+  //     (default 100).
+  //   * `maxDelay`: Upper bound on the delay between attempts (default 30000).
+  //   * `factor`: Multiplier applied to the delay after each failed attempt
+  //     (default 2).
+  //   * `jitter`: Fraction (0-1) of each delay that is randomized so that a
+  //     fleet of services doesn't reconnect in lockstep (default 0.2).
+  //   * `maxAttempts`: Number of consecutive failed attempts before giving up
+  //     and moving to the `closed` state (default `Infinity`).
+  //
+  //   An attempt only counts as successful once the client has logged back
+  //   in and resubscribed.  With multiple endpoints, the delay only grows
+  //   after a failed attempt on each of them.
+  // * `preferHealthy`: With multiple endpoints, fail over to the endpoint with
+  //   the fewest consecutive failures instead of simply the next one in the
+  //   list (default `false`).
+  // * `heartbeat`: Watches for the heartbeats the ESB sends so that a dead
+  //   connection (like a half-open TCP connection) is noticed.  Off by
+  //   default; pass an object with any of:
+  //   * `interval`: Milliseconds between the ESB's heartbeats (default
+  //     30000).
+  //   * `grace`: Extra milliseconds to wait for a heartbeat (default 5000).
+  //
+  //   Any traffic from the ESB counts as a sign of life.  If nothing arrives
+  //   within the interval and grace period, a `heartbeat.missed` event is
+  //   emitted with the milliseconds since the last traffic and the socket is
+  //   torn down so that the client reconnects as usual.  Either way, the
+  //   latency of the last heartbeat (based on its timestamp, so only accurate
+  //   to the second) is kept as `client.heartbeatLatency`.
+  // * `queue`: Controls the outbound queue that holds sent messages while the
+  //   client is disconnected.  Queued messages are flushed in order once the
+  //   client has logged back in and resubscribed.  Accepts any of:
+  //   * `maxSize`: Maximum number of queued messages (default 1000).
+  //   * `maxAge`: Milliseconds a message may wait in the queue before it is
+  //     dropped (default `Infinity`).
+  //   * `overflow`: What to do when a limit is hit.  `reject` (the default)
+  //     rejects the send promise of the message being dropped with a
+  //     `HelpEsb.QueueOverflowError`.  `drop-oldest` and `drop-newest` discard
+  //     the oldest queued message or the incoming message, respectively, and
+  //     resolve its send promise.  In every case a `queue.overflow` event is
+  //     emitted with the reason (`maxSize` or `maxAge`), the policy, and the
+  //     dropped message.
+  // * `rpcTimeout`: Milliseconds to wait for the response to an
+  //   [rpcSend](#helpesb-client-rpcsend) before failing it with a
+  //   `HelpEsb.RpcTimeoutError` (default 30000).  Set to `null` to wait
+  //   forever.
+  // * `compression`: Compresses the data of outgoing messages, marking the
+  //   algorithm in their `encoding` meta field.  Off by default, as every
+  //   service receiving the messages needs a client that decompresses them
+  //   (which clients always do, transparently).  Pass `true` for the
+  //   defaults or an object with:
+  //   * `encoding`: `gzip` (the default) or `deflate`.
+  //   * `threshold`: Only compress data whose JSON is at least this many
+  //     characters long (default 1024).
+  // * `maxPacketSize`: Maximum length (in characters) of a single packet from
+  //   the ESB (default 16MiB).  Longer packets are discarded without being
+  //   buffered in full and a `HelpEsb.PacketTooLargeError` is emitted as a
+  //   `type.error`.  The same goes for compressed data that would decompress
+  //   to more than this many bytes.
+  // * `retry`: The default retry policy for
+  //   [rpcSend](#helpesb-client-rpcsend) requests.  Requests are not retried
+  //   by default.
+  // * `exposeStack`: Include the stack trace of errors thrown by
+  //   [rpcReceive](#helpesb-client-rpcreceive) handlers in the failure reply.
+  //   Off by default so that internals don't leak to other services.
+  //
+  // Counts of the packets received from the ESB are kept in `client.stats`
+  // for monitoring: `packetsReceived`, `parseFailures` (packets that weren't
+  // valid messages), and `oversizePackets`.
+  //
+  // The current connection state is available as `client.state` and is one
+  // of `connecting`, `connected`, `authenticated`, `reconnecting`, or
+  // `closed`.  Each transition emits a `state.<name>` event with the previous
+  // state, as well as a `state.change` event with the new and previous
+  // states.
+  //
+  //     client.on('state.change', function(state, previous) {
+  //       console.log('ESB connection went from', previous, 'to', state);
+  //     });
+  //
+  // Group names in [subscribe](#helpesb-client-subscribe), `group.*` events,
+  // and [rpcReceive](#helpesb-client-rpcreceive) can be patterns, where `*`
+  // matches a single dot-delimited segment (or part of one) and `#` matches
+  // any number of segments.  A message is emitted to every pattern its group
+  // matches in addition to its exact group.
+  //
+  //     client.subscribe('orders.*');
+  //     client.on('group.orders.*', function(message) {
+  //       // Handles orders.created, orders.shipped, etc.
+  //     });
   HelpEsb.Client = function(uri, options) {
     // Extend EventEmitter to handle events.
     EventEmitter.call(this);
 
-    this._connect(uri);
+    // Keep track of the group patterns being listened for so that incoming
+    // messages can be matched against them.
+    this._groupPatterns = {};
+    this.on('newListener', this._addGroupPattern.bind(this));
+    this.on('removeListener', this._removeGroupPattern.bind(this));
 
     // Start with no authentication and no subscriptions.
     this._authentication = null;
     this._subscriptions = {};
+    this._subscriptionOptions = {};
     this._login = null;
-    this._options = _.extend({debug: false, newrelic: null}, options);
+    this._credentials = null;
+    this._reauthTimer = null;
+    this._options = _.extend(
+      {
+        debug: false,
+        telemetry: null,
+        newrelic: null,
+        rpcTimeout: 30000,
+        retry: null,
+        preferHealthy: false,
+        compression: false,
+        maxPacketSize: 16 * 1024 * 1024,
+        exposeStack: false
+      },
+      options
+    );
+    if (this._options.reconnect !== false) {
+      this._options.reconnect = _.extend(
+        {
+          initialDelay: 100,
+          maxDelay: 30000,
+          factor: 2,
+          jitter: 0.2,
+          maxAttempts: Infinity
+        },
+        this._options.reconnect
+      );
+    }
+    if (this._options.heartbeat) {
+      this._options.heartbeat = _.extend(
+        {interval: 30000, grace: 5000},
+        this._options.heartbeat
+      );
+    }
+    if (this._options.compression) {
+      this._options.compression = _.extend(
+        {encoding: 'gzip', threshold: 1024},
+        this._options.compression
+      );
+      if (!_.has(compressors, this._options.compression.encoding)) {
+        throw new Error(
+          'Unsupported compression encoding: ' +
+            this._options.compression.encoding
+        );
+      }
+    }
+    this._options.queue = _.extend(
+      {maxSize: 1000, maxAge: Infinity, overflow: 'reject'},
+      this._options.queue
+    );
+
+    // Messages sent while the client is not online (connected, logged in,
+    // and resubscribed) wait in this queue.
+    this._queue = [];
+    this._online = false;
+    this._writesInFlight = 0;
+    this._flushing = false;
+    this._shuttingDown = false;
+
+    // RPC requests that are still waiting on a response, keyed by the request
+    // message id.
+    this._pendingRpcs = {};
+
+    // Messages sent with sendConfirmed that the ESB hasn't confirmed yet,
+    // keyed by message id, so that they can be sent again after a reconnect.
+    this._unconfirmed = {};
+
+    // JSON schemas registered for the requests and replies of each group.
+    this._schemas = {};
+    this._validator = tv4.freshApi();
+
+    this._middleware = [];
+    if (this._options.debug) {
+      this.use(HelpEsb.middleware.logger());
+    }
+
+    this._telemetry = this._options.telemetry || (
+      this._options.newrelic !== null ?
+        new HelpEsb.NewRelicTelemetry(this._options.newrelic) :
+        new HelpEsb.Telemetry()
+    );
+
+    // The state of each rpcReceive handler: how many requests it is handling
+    // and which are waiting for their turn.
+    this._receivers = [];
+
+    // The spans of the RPC requests currently being handled, keyed by the
+    // request message id, so that messages sent in regards to them continue
+    // the trace.
+    this._activeSpans = {};
+
+    // Streamed responses currently being sent, keyed by the request message
+    // id, along with how far the caller has acknowledged them.
+    this._replyStreams = {};
+
+    this.stats = {packetsReceived: 0, parseFailures: 0, oversizePackets: 0};
+
+    this.state = null;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this.heartbeatLatency = null;
+
+    // The connection writes wait for while the client is (re)connecting.
+    this._pendingConnection = null;
+
+    // Every endpoint keeps count of its consecutive failures so that healthy
+    // endpoints can be preferred when failing over.  Their transports are
+    // checked up front as failing over happens in the background.
+    this._endpoints = [].concat(uri).map(function(endpointUri) {
+      transportScheme(endpointUri);
+
+      return {uri: endpointUri, failures: 0};
+    });
+    this._endpointIndex = 0;
+    this.endpoint = null;
 
     this.mb = new HelpEsb.MessageBuilder(this);
 
+    this._connect(this._endpoints[0].uri);
+
     this._registerHeartbeatResponder();
+
+    // The ESB asks for a fresh login when the credentials expire.
+    this.on('type.auth-expired', this._reauthenticate.bind(this));
   };
 
   util.inherits(HelpEsb.Client, EventEmitter);
 
   // ### HelpEsb.Client.login
-  // Login to the ESB using the given credentials (name only right now).
+  // Login to the ESB using the given name and, optionally, credentials.
   // Returns a promise that gets resolved when successfully logged in.  This
   // same promise is kept internally as well for controlling when further
   // requests can be sent.
   //
   //     client.login('clientName');
-  HelpEsb.Client.prototype.login = function(name) {
+  //
+  // The credentials can be any of:
+  // * `{token: 'abc123'}`: A bearer token.
+  // * `{secret: 's3cret'}`: A secret shared with the ESB.  The secret itself
+  //   is never sent; instead the client answers the ESB's challenge with an
+  //   HMAC-SHA256 signature of it.
+  // * A function returning a token (or a promise for one).  It is called for
+  //   every login, including those after reconnecting, so that a fresh token
+  //   is always used.  It can also return an object with the `token` and the
+  //   milliseconds until it `expiresIn`, in which case the client logs in
+  //   again with a new token before it expires (a tenth of its lifetime
+  //   early, but at most a minute).
+  //
+  //     client.login('billing', function() {
+  //       return tokenService.issue('billing').then(function(grant) {
+  //         return {token: grant.accessToken, expiresIn: grant.ttl};
+  //       });
+  //     });
+  //
+  // The client also logs in again whenever the ESB reports that the
+  // credentials expired (with an `auth-expired` message).  If the ESB rejects
+  // the credentials, the promise is rejected with a
+  // `HelpEsb.AuthenticationError`.  Failed logins after the first are
+  // emitted as `type.error` events instead.
+  HelpEsb.Client.prototype.login = function(name, credentials) {
     this._login = name;
+    this._credentials = credentials || null;
+    this._authenticate(name).then(this._goOnline.bind(this), _.noop);
 
-    return this._authentication = this._rpcSend(this.mb.login(name))
-      .timeout(10000);
+    return this._authentication;
   };
 
   // ### HelpEsb.Client.subscribe
@@ -97,16 +376,65 @@
   //     client.subscribe('a').then(function() {
   //       console.log('Subscribed!');
   //     });
-  HelpEsb.Client.prototype.subscribe = function(group) {
+  //
+  // Pass `{ack: 'manual'}` as the options for at-least-once delivery: the
+  // ESB then keeps every message of the group until it is acknowledged with
+  // [ack](#helpesb-message-ack) (or rejected with
+  // [nack](#helpesb-message-nack)), and delivers the messages that weren't
+  // acknowledged again (marked with the `redelivered` meta field) after the
+  // client reconnects.  Such messages have the `requiresAck` meta field.
+  //
+  //     client.subscribe('billing.charged', {ack: 'manual'});
+  //     client.on('group.billing.charged', function(message) {
+  //       recordCharge(message).then(function() {
+  //         return message.ack();
+  //       });
+  //     });
+  //
+  // The options only apply to the first subscription to a group.
+  HelpEsb.Client.prototype.subscribe = function(group, options) {
     if (typeof this._subscriptions[group] === 'undefined') {
+      this._subscriptionOptions[group] = _.extend({ack: 'auto'}, options);
       this._subscriptions[group] = this._authPromise().then(function() {
-        return this._rpcSend(this.mb.subscribe(group)).timeout(10000);
+        return this._rpcSend(
+          this.mb.subscribe(group, this._subscriptionOptions[group]),
+          10000
+        );
       }.bind(this));
     }
 
     return this._subscriptions[group];
   };
 
+  // ### HelpEsb.Client.unsubscribe
+  // Unsubscribes from an ESB group so that the client stops receiving its
+  // messages and won't resubscribe to it after reconnecting.  Returns a
+  // promise of the unsubscription being acknowledged.  Listeners for the
+  // group are left in place.
+  //
+  //     client.unsubscribe('a').then(function() {
+  //       console.log('Unsubscribed!');
+  //     });
+  HelpEsb.Client.prototype.unsubscribe = function(group) {
+    if (typeof this._subscriptions[group] === 'undefined') {
+      return Promise.resolve();
+    }
+
+    var subscription = this._subscriptions[group];
+    delete this._subscriptions[group];
+    delete this._subscriptionOptions[group];
+
+    // While disconnected there is no subscription on the ESB side to remove,
+    // and forgetting about it is enough to keep it from being restored.
+    if (_.contains(['reconnecting', 'closed'], this.state)) {
+      return Promise.resolve();
+    }
+
+    return subscription.then(function() {
+      return this._rpcSend(this.mb.unsubscribe(group), 10000);
+    }.bind(this));
+  };
+
   // ### HelpEsb.Client.send
   // Sends a payload message to the ESB with the given message.  Returns a
   // promise that, like the [subscribe](#helpesb-client-subscribe) call, is
@@ -129,10 +457,48 @@
     replyCallback
   ) {
     return this._authPromise().then(function() {
-      return this._send(
-        this.mb.send(group, this.mb.coerce(message), inre),
-        replyCallback
-      );
+      var outgoing = this.mb.coerce(message);
+      this._validate(group, 'request', outgoing);
+
+      return this._send(this.mb.send(group, outgoing, inre), replyCallback);
+    }.bind(this));
+  };
+
+  // ### HelpEsb.Client.sendConfirmed
+  // Sends the message like [send](#helpesb-client-send), but for things that
+  // must not get lost, like billing events.  The ESB is asked to confirm
+  // that it has accepted the message, and the returned promise is only
+  // resolved with the ESB's confirmation.  If the connection is lost before
+  // the confirmation arrives, the message is sent again (with the same id,
+  // so that the ESB can drop the duplicate) once the client is back online.
+  //
+  // The promise is rejected with a `HelpEsb.RpcError` if the ESB refuses the
+  // message, or with a `HelpEsb.RpcTimeoutError` if it isn't confirmed
+  // within the `timeout` option (the client's `rpcTimeout` by default).
+  //
+  //     client.sendConfirmed('billing.charged', {invoice: 1234})
+  //       .then(function() {
+  //         console.log('The ESB has the charge');
+  //       });
+  HelpEsb.Client.prototype.sendConfirmed = function(
+    group,
+    message,
+    inre,
+    options
+  ) {
+    options = _.extend({timeout: this._options.rpcTimeout}, options);
+
+    return this._authPromise().then(function() {
+      var outgoing = this.mb.coerce(message);
+      this._validate(group, 'request', outgoing);
+
+      var request = this.mb.sendConfirmed(group, outgoing, inre);
+      var id = request.getMeta('id');
+      this._unconfirmed[id] = request;
+
+      return this._rpcSend(request, options.timeout).finally(function() {
+        delete this._unconfirmed[id];
+      }.bind(this));
     }.bind(this));
   };
 
@@ -152,9 +518,362 @@
   //       }).catch(function(error) {
   //         console.error(error);
   //       });
-  HelpEsb.Client.prototype.rpcSend = function(group, message, inre) {
-    var send = Promise.promisify(HelpEsb.Client.prototype.send).bind(this);
-    return send(group, message, inre).then(this._checkRpcResult);
+  //
+  // If no response arrives within the client's `rpcTimeout`, the promise is
+  // rejected with a `HelpEsb.RpcTimeoutError`.  The timeout can be overridden
+  // per call using the `options` argument:
+  //
+  //     client.rpcSend('foo', {name: 'John'}, null, {timeout: 5000});
+  //
+  // If the other service replies with a failure, the promise is rejected with
+  // a `HelpEsb.RpcError` carrying the `code` and `details` of the remote error
+  // along with the `request` and `response` messages.
+  //
+  //     client.rpcSend('foo', {name: 'John'})
+  //       .catch(HelpEsb.RpcError, function(error) {
+  //         if (error.code === 'NOT_FOUND') {
+  //           // ...
+  //         }
+  //       });
+  //
+  // Failed requests can be retried automatically using the `retry` option
+  // (which defaults to the client's `retry` option).  Pass an object with
+  // any of:
+  // * `attempts`: Maximum number of attempts, including the first one
+  //   (default 3).
+  // * `initialDelay`, `maxDelay`, `factor`, and `jitter`: The backoff between
+  //   attempts, like the client's `reconnect` option (defaults 100, 5000, 2,
+  //   and 0.2).
+  // * `retryOn`: The errors to retry, as a list of error codes, failure
+  //   reasons, or error names, or a function that is given the error and
+  //   returns whether to retry it.  Defaults to timeouts and `BUSY` failures
+  //   (`['RpcTimeoutError', 'BUSY']`).
+  // * `deadline`: Milliseconds all of the attempts together may take.  The
+  //   timeout of the last attempt is shortened to fit.
+  //
+  // Retries are new messages that keep the `idempotencyKey` of the first
+  // attempt (its `id` unless one was given) so that services using the
+  // `idempotency` option of [rpcReceive](#helpesb-client-rpcreceive) only
+  // handle the request once.  They are sent in regards to (`inre`) the first
+  // attempt and have an `attempt` meta field counting up from 2.  Pass
+  // `retry: false` to not retry a request despite the client default.
+  //
+  //     client.rpcSend('payments.charge', {amount: 100}, null, {
+  //       retry: {
+  //         attempts: 5,
+  //         retryOn: ['BUSY', 'UNAVAILABLE'],
+  //         deadline: 10000
+  //       }
+  //     });
+  //
+  // The returned promise is cancellable, which stops waiting for the response
+  // and rejects the promise with a `Promise.CancellationError`.
+  //
+  //     var request = client.rpcSend('foo', {name: 'John'});
+  //     request.cancel();
+  HelpEsb.Client.prototype.rpcSend = function(group, message, inre, options) {
+    options = _.extend({timeout: this._options.rpcTimeout}, options);
+    var retry = this._retryPolicy(options.retry);
+    var request = null;
+    var span = null;
+    var cancelled = false;
+
+    return this._authPromise().then(function() {
+      var outgoing = this.mb.coerce(message);
+      this._validate(group, 'request', outgoing);
+      request = this.mb.send(group, outgoing, inre);
+
+      // The request continues the trace of the message it is in regards to
+      // and carries its own span on to the service handling it.
+      span = this._telemetry.startSpan('rpcSend', {
+        kind: 'client',
+        parent: request.getMeta('trace'),
+        attributes: {group: group, messageId: request.getMeta('id')},
+        message: request
+      });
+      request = this.mb.extend(request, {meta: {trace: span.context()}});
+      if (retry === null) {
+        return this._rpcSend(request, options.timeout);
+      }
+
+      request = this.mb.extend(request, {
+        meta: {
+          idempotencyKey: request.getMeta(
+            'idempotencyKey',
+            request.getMeta('id')
+          )
+        }
+      });
+      var original = request;
+      var deadline = retry.deadline ? Date.now() + retry.deadline : Infinity;
+
+      var attempt = function(number) {
+        var remaining = deadline - Date.now();
+        var timeout = options.timeout ?
+          Math.min(options.timeout, remaining) :
+          remaining;
+
+        span.setAttribute('attempts', number);
+
+        return this._rpcSend(
+          request,
+          timeout === Infinity ? null : timeout
+        ).catch(function(error) {
+          var delay = this._backoffDelay(retry, number - 1);
+          if (
+            cancelled ||
+            number >= retry.attempts ||
+            Date.now() + delay >= deadline ||
+            !this._isRetryable(retry, error)
+          ) {
+            throw error;
+          }
+
+          this._telemetry.increment('esb.rpc.retries', 1, {group: group});
+
+          return Promise.delay(delay).then(function() {
+            if (cancelled) {
+              throw error;
+            }
+
+            // Every attempt is a new message of its own, in regards to the
+            // first, so that late replies to earlier attempts are ignored.
+            var retried = outgoing.toJSON();
+            request = this.mb.extend(
+              this.mb.send(
+                group,
+                {meta: _.omit(retried.meta, 'id', 'ts'), data: retried.data},
+                original
+              ),
+              {
+                meta: {
+                  trace: span.context(),
+                  idempotencyKey: original.getMeta('idempotencyKey'),
+                  attempt: number + 1
+                }
+              }
+            );
+
+            return attempt(number + 1);
+          }.bind(this));
+        }.bind(this));
+      }.bind(this);
+
+      return attempt(1);
+    }.bind(this)).cancellable().catch(
+      Promise.CancellationError,
+      function(error) {
+        cancelled = true;
+        if (request !== null) {
+          this._rejectRpc(request.getMeta('id'), error);
+        }
+
+        throw error;
+      }.bind(this)
+    ).tap(function(response) {
+      span.setAttribute('result', response.getMeta('result'));
+    }).catch(function(error) {
+      if (span !== null) {
+        span.recordError(error);
+      }
+
+      throw error;
+    }).finally(function() {
+      if (span !== null) {
+        span.end();
+      }
+    });
+  };
+
+  // ### HelpEsb.Client.rpcStream
+  // Sends the request like [rpcSend](#helpesb-client-rpcsend), but for
+  // services that stream their response (see
+  // [rpcReceive](#helpesb-client-rpcreceive)).  Returns an object mode
+  // readable stream of the response chunks, each a `HelpEsb.Message`, in the
+  // order they were sent.
+  //
+  //     client.rpcStream('users.export', {active: true})
+  //       .on('data', function(chunk) {
+  //         console.log(chunk.get('name'));
+  //       })
+  //       .on('error', console.error)
+  //       .on('end', function() {
+  //         console.log('All users exported');
+  //       });
+  //
+  // The service only sends as many chunks as the stream has room for (the
+  // `highWaterMark` option, default 16) ahead of what has been read, so a
+  // slow consumer isn't flooded.  A failure from the service is emitted as
+  // an `error` with a `HelpEsb.RpcError`, and the stream fails with a
+  // `HelpEsb.RpcTimeoutError` if no chunk arrives within the `timeout`
+  // option (the client's `rpcTimeout` by default).  Destroying the stream
+  // asks the service to stop sending.
+  //
+  // A service replying normally results in a stream of just its reply.
+  HelpEsb.Client.prototype.rpcStream = function(group, message, inre, options) {
+    options = _.extend(
+      {timeout: this._options.rpcTimeout, highWaterMark: 16},
+      options
+    );
+    var highWaterMark = options.highWaterMark;
+    var stream = new Readable({objectMode: true, highWaterMark: highWaterMark});
+    var request = null;
+    var span = null;
+    var done = false;
+
+    // Chunks that arrived ahead of their turn, keyed by sequence number.
+    var early = {};
+    var next = 0;
+    var acknowledged = 0;
+    var lastChunk = null;
+
+    var rpc = {timer: null, listener: null, reject: null};
+
+    var cleanup = function(error) {
+      done = true;
+      if (request !== null) {
+        this._clearRpc(request.getMeta('id'));
+      }
+
+      if (span !== null) {
+        if (error) {
+          span.recordError(error);
+        }
+
+        span.end();
+      }
+    }.bind(this);
+
+    var fail = rpc.reject = function(error) {
+      if (!done) {
+        cleanup(error);
+        stream.destroy(error);
+      }
+    };
+
+    var end = function() {
+      cleanup(null);
+      stream.push(null);
+    };
+
+    // Acknowledges the chunks read so far once there are enough of them,
+    // letting the service send more, or tells the service to stop.
+    var acknowledge = function(cancel) {
+      var batched = next - acknowledged < highWaterMark / 2;
+      if (lastChunk === null || (!cancel && batched)) {
+        return;
+      }
+
+      acknowledged = next;
+      this._send(this.mb.streamAck(lastChunk, acknowledged, cancel))
+        .catch(_.noop);
+    }.bind(this);
+
+    var restartTimer = function() {
+      clearTimeout(rpc.timer);
+      if (options.timeout) {
+        rpc.timer = setTimeout(function() {
+          fail(new HelpEsb.RpcTimeoutError(
+            'No response received within ' + options.timeout + 'ms',
+            {
+              messageId: request.getMeta('id'),
+              group: group,
+              timeout: options.timeout
+            }
+          ));
+        }, options.timeout);
+      }
+    };
+
+    // Handles the next response in the sequence, returning whether to keep
+    // going.
+    var deliver = function(response) {
+      if (response.getMeta('result') !== 'SUCCESS') {
+        fail(this._rpcError(request, response));
+
+        return false;
+      }
+
+      if (!response.hasMeta('stream') || response.getMeta('stream.end')) {
+        if (!response.hasMeta('stream')) {
+          stream.push(response);
+        }
+
+        end();
+
+        return false;
+      }
+
+      lastChunk = response;
+      next++;
+      stream.push(response);
+
+      return true;
+    }.bind(this);
+
+    rpc.listener = function(response) {
+      restartTimer();
+
+      var seq = response.getMeta('stream.seq');
+      if (!_.isNumber(seq)) {
+        deliver(response);
+
+        return;
+      }
+
+      early[seq] = response;
+      while (!done && _.has(early, next)) {
+        var chunk = early[next];
+        delete early[next];
+        if (!deliver(chunk)) {
+          break;
+        }
+      }
+    };
+
+    stream._read = function() {
+      if (!done) {
+        acknowledge(false);
+      }
+    };
+
+    stream._destroy = function(error, callback) {
+      if (!done) {
+        acknowledge(true);
+        cleanup(error);
+      }
+
+      callback(error);
+    };
+
+    this._authPromise().then(function() {
+      if (done) {
+        return;
+      }
+
+      var outgoing = this.mb.coerce(message);
+      this._validate(group, 'request', outgoing);
+      request = this.mb.send(group, outgoing, inre);
+
+      span = this._telemetry.startSpan('rpcStream', {
+        kind: 'client',
+        parent: request.getMeta('trace'),
+        attributes: {group: group, messageId: request.getMeta('id')},
+        message: request
+      });
+      request = this.mb.extend(request, {
+        meta: {trace: span.context(), stream: {window: highWaterMark}}
+      });
+
+      var id = request.getMeta('id');
+      this._pendingRpcs[id] = rpc;
+      this.on('replyTo.' + id, rpc.listener);
+      restartTimer();
+
+      return this._send(request);
+    }.bind(this)).catch(fail);
+
+    return stream;
   };
 
   // ### HelpEsb.Client.rpcReceive
@@ -174,289 +893,1936 @@
   //       return request.getAsync('http://www.google.com');
   //     });
   //
-  // Errors are also handled and errors are sent as the "reason" through the
-  // ESB.
+  // Large responses can be streamed instead by returning a readable stream
+  // or an async iterator (anything with a `next` method returning a promise
+  // for `{value, done}`).  Each value is sent as a chunk of the response, in
+  // order, to a caller using [rpcStream](#helpesb-client-rpcstream).  Chunks
+  // are only read from the stream as fast as the caller consumes them.
+  // Callers using [rpcSend](#helpesb-client-rpcsend) instead get a single
+  // reply with the data of every chunk in an array.
+  //
+  //     client.rpcReceive('users.export', function(message) {
+  //       return db.query('SELECT * FROM users').stream();
+  //     });
+  //
+  // Errors are also handled and sent back through the ESB as a failure.  The
+  // error's `name`, `message`, `code`, and `details` properties are sent along
+  // and surface on the `HelpEsb.RpcError` that the caller's
+  // [rpcSend](#helpesb-client-rpcsend) is rejected with.  The stack is only
+  // included with the `exposeStack` option.
   //
   //     client.rpcReceive('foo', function(message) {
-  //       throw new Error('Not implemented!');
+  //       throw new HelpEsb.RpcError('No such user', {
+  //         code: 'NOT_FOUND',
+  //         details: {id: message.get('id')}
+  //       });
   //     });
-  HelpEsb.Client.prototype.rpcReceive = function(group, cb) {
-    var newrelic = this._options.newrelic;
-    this.subscribe(group);
-    var messageHandler = function(message) {
-      var execute = Promise.try(cb.bind({}, message)).then(function(result) {
-        return this._send(
-          this.mb.success(
-            this.mb.extend(this.mb.rpcReply(message), this.mb.coerce(result))
-          )
-        );
+  //
+  // By default every incoming request is handled right away.  To protect
+  // downstream resources, the number of requests handled at once can be
+  // limited with these options:
+  // * `concurrency`: Maximum number of requests handled at the same time
+  //   (default `Infinity`).
+  // * `overload`: What to do with requests that come in while at the limit.
+  //   `queue` (the default) holds them until a handler frees up, and `reject`
+  //   answers them right away with a failure with the code `BUSY`.
+  // * `maxPending`: Maximum number of requests held by the `queue` policy
+  //   (default `Infinity`).  Requests beyond this are answered with a `BUSY`
+  //   failure as well.
+  //
+  //     client.rpcReceive('foo', handler, {concurrency: 10, maxPending: 100});
+  //
+  // Requests can be delivered more than once, like when the sender retries
+  // after a reconnect.  For handlers with side effects, the `idempotency`
+  // option remembers the reply to each request so that duplicates are
+  // answered with it instead of running the handler again.  Requests are
+  // identified by their `idempotencyKey` meta field, falling back to their
+  // `id`.  Pass `true` for the defaults or an object with:
+  // * `ttl`: Milliseconds to remember each reply for (default 60000).
+  // * `store`: Where replies are remembered.  Defaults to a new
+  //   [HelpEsb.MemoryStore](#helpesb-memorystore); use a shared store to
+  //   deduplicate across processes.
+  //
+  // Only successful replies are remembered, so a request that failed can be
+  // retried, and streamed responses are not remembered at all.  A duplicate
+  // arriving while the original is still being handled waits for it to
+  // finish.
+  //
+  //     client.rpcReceive('payments.charge', charge, {
+  //       idempotency: {ttl: 24 * 60 * 60 * 1000, store: redisStore}
+  //     });
+  //
+  // Returns a handle whose `detach` method removes the handler again.  Once
+  // no listeners remain for the group, the client also unsubscribes from it.
+  // `detach` returns a promise of that unsubscription (if any).
+  //
+  //     var receiver = client.rpcReceive('foo', handler);
+  //     receiver.detach();
+  HelpEsb.Client.prototype.rpcReceive = function(group, cb, options) {
+    var telemetry = this._telemetry;
+    var receiver = _.extend(
+      {
+        concurrency: Infinity,
+        overload: 'queue',
+        maxPending: Infinity,
+        idempotency: false
+      },
+      options,
+      {group: group, active: 0, pending: [], inFlight: {}}
+    );
+    if (receiver.idempotency) {
+      receiver.idempotency = _.extend(
+        {ttl: 60000, store: null},
+        receiver.idempotency
+      );
+      receiver.idempotency.store =
+        receiver.idempotency.store || new HelpEsb.MemoryStore();
+    }
+    this._receivers.push(receiver);
+
+    this.subscribe(group).catch(this.emit.bind(this, 'type.error'));
+    var handleMessage = function(message) {
+      var id = message.getMeta('id');
+      var start = Date.now();
+      var span = this._activeSpans[id] = telemetry.startSpan('rpcReceive', {
+        kind: 'server',
+        parent: message.getMeta('trace'),
+        attributes: {group: group, messageId: id},
+        message: message
+      });
+
+      return span.run(function() {
+        return Promise.try(function() {
+          this._validate(group, 'request', message);
+
+          return receiver.idempotency ?
+            this._handleIdempotently(receiver, message, cb) :
+            cb.call({}, message);
+        }.bind(this)).then(function(result) {
+          var iterator = toIterator(result);
+          if (iterator !== null) {
+            return this._replyStream(message, iterator, group).then(function() {
+              span.setAttribute('result', 'SUCCESS');
+            });
+          }
+
+          var reply = this.mb.coerce(result);
+          this._validate(group, 'reply', reply);
+          span.setAttribute('result', 'SUCCESS');
+
+          return this._send(
+            this.mb.success(this.mb.extend(this.mb.rpcReply(message), reply))
+          );
+        }.bind(this)).catch(function(error) {
+          span.setAttribute('result', 'FAILURE');
+          span.recordError(error);
+          telemetry.increment('esb.rpc.handler.failures', 1, {group: group});
+
+          return this._replyFailure(message, error);
+        }.bind(this)).finally(function() {
+          delete this._activeSpans[id];
+          this._clearReplyStream(id);
+          telemetry.histogram(
+            'esb.rpc.handler.duration',
+            Date.now() - start,
+            {group: group}
+          );
+          span.end();
+        }.bind(this));
       }.bind(this));
+    }.bind(this);
 
-      var errorHandler = function(error) {
-        var errorMeta = {reason: _.isError(error) ? error.stack : error};
-
-        if (newrelic !== null) {
-          newrelic.noticeError(
-            _.isError(error) ? error : ('' + error),
-            message.toJSON()
-          );
+    // Runs the handler for the message and then for the next pending message
+    // once it is done.
+    var run = function(message) {
+      receiver.active++;
+      Promise.resolve(handleMessage(message)).finally(function() {
+        receiver.active--;
+        if (receiver.pending.length > 0) {
+          run(receiver.pending.shift());
         }
+      });
+    };
 
-        return this._send(
-          this.mb.failure(
-            this.mb.extend(this.mb.rpcReply(message), {meta: errorMeta})
-          )
-        );
-      }.bind(this);
-
-      if (newrelic !== null) {
-        errorHandler = newrelic.agent.tracer.bindFunction(
-          errorHandler,
-          newrelic.agent.tracer.segment
-        );
+    var messageHandler = function(message) {
+      if (this._shuttingDown) {
+        return;
       }
 
-      execute = execute.catch(errorHandler);
-
-      if (newrelic !== null) {
-        execute.finally(newrelic.agent.tracer.bindFunction(
-          newrelic.endTransaction.bind(newrelic),
-          newrelic.agent.tracer.segment
+      if (receiver.active < receiver.concurrency) {
+        run(message);
+      } else if (
+        receiver.overload === 'queue' &&
+        receiver.pending.length < receiver.maxPending
+      ) {
+        receiver.pending.push(message);
+      } else {
+        telemetry.increment('esb.rpc.handler.rejected', 1, {group: group});
+        this._replyFailure(message, new HelpEsb.BusyError(
+          'Too many concurrent requests for group ' + group,
+          {code: 'BUSY'}
         ));
       }
     }.bind(this);
 
-    if (newrelic !== null) {
-      messageHandler = newrelic.createBackgroundTransaction(
-        group,
-        messageHandler
-      );
-    }
-
     this.on('group.' + group, messageHandler);
+
+    return {
+      group: group,
+      detach: function() {
+        this.removeListener('group.' + group, messageHandler);
+        this._receivers = _.without(this._receivers, receiver);
+
+        if (this.listeners('group.' + group).length === 0) {
+          return this.unsubscribe(group);
+        }
+
+        return Promise.resolve();
+      }.bind(this)
+    };
+  };
+
+  // ### HelpEsb.Client.registerSchema
+  // Registers [JSON schemas](http://json-schema.org/) for the `data` of the
+  // requests sent to the given group and of the replies sent back.
+  //
+  // Outgoing requests from [send](#helpesb-client-send) and
+  // [rpcSend](#helpesb-client-rpcsend) that don't match the `request` schema
+  // are rejected with a `HelpEsb.ValidationError` without being sent.
+  // Incoming requests to an [rpcReceive](#helpesb-client-rpcreceive) handler
+  // that don't match are answered with a failure listing the validation
+  // errors without calling the handler, and handler results that don't match
+  // the `reply` schema are sent as a failure instead.
+  //
+  //     client.registerSchema('users.get', {
+  //       request: {
+  //         type: 'object',
+  //         properties: {id: {type: 'integer'}},
+  //         required: ['id']
+  //       },
+  //       reply: {type: 'object', required: ['name']}
+  //     });
+  HelpEsb.Client.prototype.registerSchema = function(group, schemas) {
+    this._schemas[group] = _.pick(schemas, 'request', 'reply');
+  };
+
+  // ### HelpEsb.Client.use
+  // Adds middleware to the pipeline that every message passes through.  The
+  // middleware is an object with an `outbound` function, an `inbound`
+  // function, or both.  Outbound middleware sees each message right before it
+  // is written to the socket (so messages waiting in the outbound queue while
+  // the client is offline only get to it once they are sent, already stamped
+  // with the connection's channel id in `from`) and inbound middleware sees
+  // each message right after it is parsed, before any events are emitted for
+  // it.  Middleware runs in the order it was added.
+  //
+  // Each function is called (with the client as `this`) with the message and
+  // a `next` function.  Calling `next` passes the message on down the
+  // pipeline, optionally replacing it with the message given to `next`.  Not
+  // calling `next` drops the message.  `next` returns a promise of the rest of
+  // the pipeline completing, and the middleware can return a promise to do
+  // its work asynchronously.
+  //
+  //     client.use({
+  //       outbound: function(message, next) {
+  //         return next(this.mb.extend(message, {meta: {token: token}}));
+  //       },
+  //       inbound: function(message, next) {
+  //         if (message.getMeta('token') === token) {
+  //           return next();
+  //         }
+  //       }
+  //     });
+  //
+  // Replacement messages should keep the original `id` so that replies can
+  // still be matched up with their requests.
+  HelpEsb.Client.prototype.use = function(middleware) {
+    this._middleware.push(middleware);
+
+    return this;
+  };
+
+  // ### HelpEsb.Client.shutdown
+  // Gracefully shuts the client down, for zero-downtime deploys and the like.
+  // The client unsubscribes from the groups of its
+  // [rpcReceive](#helpesb-client-rpcreceive) handlers and stops taking new
+  // requests in them, waits for the ESB to confirm that and for the requests
+  // it is already handling and for the outbound queue to finish, and then
+  // [closes](#helpesb-client-close), which rejects any RPC requests still
+  // waiting on a response.
+  //
+  // Work that hasn't finished within the `timeout` (default 10000
+  // milliseconds) is abandoned.  Returns a promise that is resolved once the
+  // socket is closed, with whether everything finished in time.
+  //
+  //     process.on('SIGTERM', function() {
+  //       client.shutdown({timeout: 5000}).then(function() {
+  //         process.exit();
+  //       });
+  //     });
+  HelpEsb.Client.prototype.shutdown = function(options) {
+    options = _.extend({timeout: 10000}, options);
+    var deadline = Date.now() + options.timeout;
+    this._shuttingDown = true;
+
+    // The unsubscriptions have to go out before the socket is closed.
+    var unsubscribed = Promise.settle(
+      _.uniq(_.pluck(this._receivers, 'group')).map(function(group) {
+        return this.unsubscribe(group);
+      }, this)
+    ).timeout(options.timeout).catch(Promise.TimeoutError, _.noop);
+
+    return unsubscribed.then(function() {
+      return this._whenIdle(deadline);
+    }.bind(this)).then(function(idle) {
+      this.close();
+
+      return new Promise(function(resolve) {
+        if (this._socket.destroyed) {
+          resolve();
+        } else {
+          this._socket.once('close', resolve);
+        }
+      }.bind(this)).return(idle);
+    }.bind(this));
   };
 
   // ### HelpEsb.Client.close
-  // Closes the connection, ending communication.
+  // Closes the connection, ending communication.  This also cancels any
+  // pending reconnect attempt and rejects any messages still waiting in the
+  // outbound queue as well as any RPC requests still waiting on a response.
+  // Messages sent after closing are rejected with a
+  // `HelpEsb.ClientClosedError`.
   HelpEsb.Client.prototype.close = function() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    clearTimeout(this._reauthTimer);
+    this._reauthTimer = null;
+    clearTimeout(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    this._online = false;
+    this._setState('closed');
+    this._abandonConnection(new HelpEsb.ClientClosedError(
+      'The ESB client was closed before the message could be sent'
+    ));
+    this._rejectQueue(new HelpEsb.ClientClosedError(
+      'The ESB client was closed before the message could be sent'
+    ));
+    _.each(_.keys(this._pendingRpcs), function(id) {
+      this._rejectRpc(id, new HelpEsb.ClientClosedError(
+        'The ESB client was closed before a response was received',
+        {messageId: id}
+      ));
+    }, this);
+
     this.emit('socket.close');
     this._socket.removeAllListeners('close');
     this._socket.end();
   };
 
-  // ### HelpEsb.Client.decorateMessage
-  // Formats the message with client-specific values needed by the ESB.  This
-  // includes the `from` key in the meta to reference the logged in client
-  // channel id.
+  // ### HelpEsb.Client.decorateMessage
+  // Formats the message with client-specific values needed by the ESB.  This
+  // includes the `from` key in the meta to reference the logged in client
+  // channel id.
+  //
+  // You probably don't need to call this yourself as it is called by the
+  // `MessageBuilder`.
+  HelpEsb.Client.prototype.decorateMessage = function(message) {
+    if (
+      this._authentication !== null &&
+      this._authentication.isFulfilled() &&
+      this._authentication.value().has('channelId')
+    ) {
+      message.meta.from = this._authentication.value().get('channelId');
+    }
+
+    return message;
+  };
+
+  // ---
+  // ### Private Methods
+
+  // Does the actual connecting and binds events onto the socket for handling
+  // data/error/close.
+  HelpEsb.Client.prototype._connect = function(uri) {
+    var uriObj = url.parse(uri);
+    var scheme = transportScheme(uri);
+
+    this._setState('connecting');
+    if (this.endpoint !== uri) {
+      var previous = this.endpoint;
+      this.endpoint = uri;
+      if (previous !== null) {
+        this.emit('endpoint.change', uri, previous);
+      }
+    }
+
+    // The transport for the URI's scheme gives us the socket to talk to the
+    // ESB over.
+    this._socket = Promise.promisifyAll(
+      HelpEsb.transports[scheme](uriObj, this._options)
+    );
+
+    // We can't send anything over the socket until we have a connection.  We
+    // immediately initiate the connection and save a promise for it so that
+    // the client ensures the connection exists before trying to send data.
+    // TLS sockets aren't usable until the handshake is done.
+    this._connectEvent = this._socket.encrypted ? 'secureConnect' : 'connect';
+    this._awaitConnection();
+    this._socketFull = false;
+    this._socket.on(this._connectEvent, function() {
+      this._pendingConnection.resolve();
+      this._pendingConnection = null;
+      this._setState('connected');
+      this._watchHeartbeat();
+    }.bind(this));
+
+    // Handle data coming in over the socket using our special handler.
+    // Because data can come in pieces, we have to keep a data buffer so that
+    // we only process complete payloads.
+    this._buffer = '';
+    this._discarding = false;
+    this._decoding = Promise.resolve();
+    this._socket.on('data', this._handleData.bind(this));
+
+    // Error handling is a bit simpler - we can just pass the error to the
+    // user's configured error handler.
+    this._socket.on('error', this.emit.bind(this, 'type.error'));
+
+    this._socket.on('close', this._reconnect.bind(this));
+  };
+
+  // This schedules a reconnect to the next ESB endpoint, backing off
+  // exponentially between consecutive failed attempts, and sets up the
+  // resubscription handler for when the new connection comes up.
+  HelpEsb.Client.prototype._reconnect = function() {
+    var options = this._options.reconnect;
+
+    this._online = false;
+    this._awaitConnection();
+    this._requeueUnconfirmed();
+    clearTimeout(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    clearTimeout(this._reauthTimer);
+    this._reauthTimer = null;
+    this._socket.destroy();
+    this._endpoints[this._endpointIndex].failures++;
+
+    if (options === false || this._reconnectAttempts >= options.maxAttempts) {
+      this._setState('closed');
+      this._abandonConnection(new HelpEsb.ClientClosedError(
+        'The ESB connection was lost before the message could be sent'
+      ));
+      this._rejectQueue(new HelpEsb.ClientClosedError(
+        'The ESB connection was lost before the message could be sent'
+      ));
+      this.emit('type.error', new Error(
+        'Unable to reconnect to the ESB after ' + this._reconnectAttempts +
+          ' attempts'
+      ));
+      return;
+    }
+
+    this._setState('reconnecting');
+    this._telemetry.increment('esb.reconnects', 1);
+    this._endpointIndex = this._nextEndpoint();
+
+    var uri = this._endpoints[this._endpointIndex].uri;
+    var round = Math.floor(this._reconnectAttempts++ / this._endpoints.length);
+    this._reconnectTimer = setTimeout(function() {
+      this._reconnectTimer = null;
+      this._connect(uri);
+
+      this._socket.on(
+        this._connectEvent,
+        this._resubscribe.bind(this, this._login)
+      );
+    }.bind(this), this._backoffDelay(options, round));
+  };
+
+  // Makes writes wait for the next connection instead of going to the socket
+  // that was lost.  The same promise is kept across failed attempts until a
+  // connection comes up.
+  HelpEsb.Client.prototype._awaitConnection = function() {
+    if (this._pendingConnection === null) {
+      this._pendingConnection = Promise.defer();
+      this._socketConnection = this._pendingConnection.promise;
+    }
+  };
+
+  // Rejects the writes waiting for a connection, and any made from now on,
+  // once the client is closed for good.
+  HelpEsb.Client.prototype._abandonConnection = function(error) {
+    this._awaitConnection();
+    this._pendingConnection.reject(error);
+    this._socketConnection.catch(_.noop);
+  };
+
+  // Puts the confirmed messages that were already written, but never
+  // confirmed, back at the front of the outbound queue so that they are sent
+  // again once the client is back online.
+  HelpEsb.Client.prototype._requeueUnconfirmed = function() {
+    var queued = _.pluck(this._queue, 'message');
+    var resend = _.reject(_.values(this._unconfirmed), function(message) {
+      return _.contains(queued, message);
+    });
+
+    this._queue = resend.map(function(message) {
+      return {
+        message: message,
+        ts: Date.now(),
+        resolve: _.noop,
+        reject: _.noop
+      };
+    }).concat(this._queue);
+  };
+
+  // Picks the index of the endpoint to fail over to: the next one in the list
+  // or, with the `preferHealthy` option, the one with the fewest consecutive
+  // failures (trying them in list order on ties).
+  HelpEsb.Client.prototype._nextEndpoint = function() {
+    var count = this._endpoints.length;
+    var order = _.map(_.range(1, count + 1), function(offset) {
+      return (this._endpointIndex + offset) % count;
+    }, this);
+
+    if (!this._options.preferHealthy) {
+      return order[0];
+    }
+
+    return _.min(order, function(index) {
+      return this._endpoints[index].failures;
+    }, this);
+  };
+
+  // Calculates the delay before the given (zero-indexed) attempt using the
+  // backoff options (`initialDelay`, `maxDelay`, `factor`, and `jitter`) of
+  // reconnects or RPC retries.
+  // The delay grows exponentially up to the configured maximum and then has
+  // up to `jitter` of it shaved off at random.
+  HelpEsb.Client.prototype._backoffDelay = function(options, attempt) {
+    var delay = Math.min(
+      options.maxDelay,
+      options.initialDelay * Math.pow(options.factor, attempt)
+    );
+
+    return Math.round(delay * (1 - options.jitter * Math.random()));
+  };
+
+  // Moves the client to the given connection state, emitting the transition
+  // events if the state actually changed.
+  HelpEsb.Client.prototype._setState = function(state) {
+    var previous = this.state;
+    if (previous === state) {
+      return;
+    }
+
+    this.state = state;
+    this.emit('state.' + state, previous);
+    this.emit('state.change', state, previous);
+  };
+
+  // Reauthenticates and resubscribes to the socket using the given login and
+  // the groups subscribed to at the time of reconnecting.  The client only
+  // goes back online, flushing the outbound queue, once the login and all of
+  // the subscriptions have succeeded.  Otherwise, each failure (like a
+  // `HelpEsb.AuthenticationError`) is emitted as a `type.error` and the
+  // socket is torn down so that the client reconnects (backing off as usual)
+  // and tries again.
+  HelpEsb.Client.prototype._resubscribe = function(login) {
+    var subscriptions = Object.keys(this._subscriptions);
+    var socket = this._socket;
+    this._authentication = null;
+    this._subscriptions = {};
+
+    if (login !== null) {
+      this.emit('socket.reconnect');
+      Promise.settle(
+        [this._authenticate(login)].concat(
+          subscriptions.map(function(group) {
+            return this.subscribe(group, this._subscriptionOptions[group]);
+          }, this)
+        )
+      ).then(function(results) {
+        // Subscriptions fail with the login's error when the login fails, so
+        // that error is only emitted once.
+        var errors = _.uniq(_.invoke(
+          _.filter(results, function(result) {
+            return result.isRejected();
+          }),
+          'reason'
+        ));
+
+        if (errors.length === 0) {
+          this._goOnline();
+          return;
+        }
+
+        errors.forEach(function(error) {
+          this.emit('type.error', error);
+        }, this);
+        if (this.state !== 'closed' && this._socket === socket) {
+          socket.destroy();
+        }
+      }.bind(this));
+    }
+  };
+
+  // Logs in with the given name, moving to the `authenticated` state once it
+  // succeeds.  The result is kept as the authentication promise that gates
+  // further requests.
+  HelpEsb.Client.prototype._authenticate = function(name) {
+    this._authentication = this._loginRequest(name);
+    this._authentication.then(
+      this._setState.bind(this, 'authenticated'),
+      _.noop
+    );
+
+    return this._authentication;
+  };
+
+  // Sends the login message for the given name with the client's
+  // credentials, answering the ESB's challenge for a shared secret.  Resolves
+  // with the ESB's final reply, which has the channel id.
+  HelpEsb.Client.prototype._loginRequest = function(name) {
+    var credentials = null;
+    var resolvedAt = null;
+
+    return resolveCredentials(this._credentials).then(function(resolved) {
+      credentials = resolved;
+      resolvedAt = Date.now();
+
+      return this._rpcSend(
+        this.mb.login(name, credentials && wireCredentials(credentials)),
+        10000
+      );
+    }.bind(this)).catch(HelpEsb.RpcError, function(error) {
+      if (
+        error.response.getMeta('result') !== 'CHALLENGE' ||
+        !_.has(credentials, 'secret')
+      ) {
+        throw error;
+      }
+
+      var nonce = error.response.get('nonce');
+      var signature = crypto.createHmac('sha256', credentials.secret)
+        .update(nonce)
+        .digest('hex');
+
+      return this._rpcSend(
+        this.mb.authenticate(error.response, name, signature),
+        10000
+      );
+    }.bind(this)).catch(HelpEsb.RpcError, function(error) {
+      throw new HelpEsb.AuthenticationError(
+        error.message,
+        _.pick(
+          error,
+          'code',
+          'details',
+          'remoteName',
+          'remoteStack',
+          'request',
+          'response'
+        )
+      );
+    }).tap(function() {
+      if (_.has(credentials, 'expiresIn')) {
+        this._scheduleReauthentication(
+          resolvedAt + credentials.expiresIn -
+            refreshMargin(credentials.expiresIn)
+        );
+      }
+    }.bind(this));
+  };
+
+  // Schedules logging in again at the given time.  Timers can't be set much
+  // more than 24 days ahead, so longer waits are broken up.  The timer
+  // doesn't keep the process alive on its own.
+  HelpEsb.Client.prototype._scheduleReauthentication = function(at) {
+    var delay = Math.max(0, at - Date.now());
+
+    clearTimeout(this._reauthTimer);
+    this._reauthTimer = setTimeout(function() {
+      if (delay > maxTimeout) {
+        this._scheduleReauthentication(at);
+      } else {
+        this._reauthenticate();
+      }
+    }.bind(this), Math.min(delay, maxTimeout));
+
+    if (this._reauthTimer.unref) {
+      this._reauthTimer.unref();
+    }
+  };
+
+  // Logs in again on the current connection to renew expiring credentials.
+  // The previous login stays in effect until the new one succeeds.
+  HelpEsb.Client.prototype._reauthenticate = function() {
+    this._reauthTimer = null;
+    if (this._login === null || this.state !== 'authenticated') {
+      return;
+    }
+
+    var authentication = this._loginRequest(this._login);
+    authentication.then(function() {
+      this._authentication = authentication;
+    }.bind(this), this.emit.bind(this, 'type.error'));
+  };
+
+  // Marks the client as online and sends everything that queued up while it
+  // was offline.  Only now is the endpoint considered healthy again, so that
+  // an ESB accepting connections but failing logins still gets backed off
+  // from.
+  HelpEsb.Client.prototype._goOnline = function() {
+    this._online = true;
+    this._reconnectAttempts = 0;
+    this._endpoints[this._endpointIndex].failures = 0;
+    this._flushQueue();
+  };
+
+  // Format the message for the ESB and send it over the socket.  JSON encodes
+  // the message and appends a newline as the delimiter between messages.
+  HelpEsb.Client.prototype._send = function(message, replyCallback) {
+    // Register a callback for replies to this message if a callback is given.
+    var replyEvent = 'replyTo.' + message.getMeta('id');
+    var replyListener;
+    if (replyCallback) {
+      replyListener = _.partial(replyCallback, null);
+      this.once(replyEvent, replyListener);
+    }
+
+    // Payload messages go through the outbound queue so that they survive
+    // reconnects.  Everything else (login, subscriptions, heartbeats) is part
+    // of establishing the connection and goes straight to the socket.
+    // Either way, the message only passes through the outbound middleware
+    // once it is about to be written.
+    var sent = message.getMeta('type') === 'sendMessage' ?
+      this._enqueue(message) :
+      this._sendRaw(message);
+
+    if (replyCallback) {
+      sent.catch(function(error) {
+        this.removeListener(replyEvent, replyListener);
+        replyCallback(error);
+      }.bind(this));
+    }
+
+    return sent;
+  };
+
+  // Sends the message like **_send**, but returns a promise for a response
+  // from some other service.  This uses the autogen message id and relies on
+  // the other service properly publishing a message with a proper replyTo.
+  // The request is failed with a `HelpEsb.RpcTimeoutError` if no response
+  // comes back within `timeout` milliseconds (unless `timeout` is falsy).
+  HelpEsb.Client.prototype._rpcSend = function(message, timeout) {
+    var id = message.getMeta('id');
+    var start = Date.now();
+    var attributes = {
+      type: message.getMeta('type'),
+      group: message.getMeta('group')
+    };
+    var rpc = this._pendingRpcs[id] = {
+      timer: null,
+      listener: null,
+      reject: null
+    };
+
+    return new Promise(function(resolve, reject) {
+      rpc.listener = resolve;
+      rpc.reject = reject;
+      this.once('replyTo.' + id, resolve);
+
+      if (timeout) {
+        rpc.timer = setTimeout(function() {
+          reject(new HelpEsb.RpcTimeoutError(
+            'No response received within ' + timeout + 'ms',
+            {messageId: id, group: message.getMeta('group'), timeout: timeout}
+          ));
+        }, timeout);
+      }
+
+      this._send(message).catch(reject);
+    }.bind(this)).finally(this._clearRpc.bind(this, id))
+      .then(this._checkRpcResult.bind(this, message))
+      .catch(function(error) {
+        this._telemetry.increment(
+          'esb.rpc.failures',
+          1,
+          _.extend({error: error.name}, attributes)
+        );
+
+        throw error;
+      }.bind(this))
+      .finally(function() {
+        this._telemetry.histogram(
+          'esb.rpc.latency',
+          Date.now() - start,
+          attributes
+        );
+      }.bind(this));
+  };
+
+  // Builds the retry policy for an rpcSend from its `retry` option and the
+  // client's, or returns `null` if the request isn't to be retried.
+  HelpEsb.Client.prototype._retryPolicy = function(retry) {
+    if (retry === false || (!retry && !this._options.retry)) {
+      return null;
+    }
+
+    return _.extend(
+      {
+        attempts: 3,
+        initialDelay: 100,
+        maxDelay: 5000,
+        factor: 2,
+        jitter: 0.2,
+        retryOn: ['RpcTimeoutError', 'BUSY'],
+        deadline: null
+      },
+      this._options.retry,
+      retry
+    );
+  };
+
+  // Checks whether the error matches the `retryOn` option of the retry
+  // policy.
+  HelpEsb.Client.prototype._isRetryable = function(retry, error) {
+    if (_.isFunction(retry.retryOn)) {
+      return retry.retryOn(error);
+    }
+
+    return error instanceof Error && _.any(retry.retryOn, function(match) {
+      return _.contains([error.code, error.message, error.name], match);
+    });
+  };
+
+  // Fails the pending RPC request with the given id.
+  HelpEsb.Client.prototype._rejectRpc = function(id, error) {
+    if (_.has(this._pendingRpcs, id)) {
+      this._pendingRpcs[id].reject(error);
+    }
+  };
+
+  // Stops tracking the RPC request with the given id, removing its timer and
+  // reply listener.
+  HelpEsb.Client.prototype._clearRpc = function(id) {
+    var rpc = this._pendingRpcs[id];
+    if (rpc) {
+      clearTimeout(rpc.timer);
+      this.removeListener('replyTo.' + id, rpc.listener);
+      delete this._pendingRpcs[id];
+    }
+  };
+
+  // Checks an RPC response and fails the promise with a `HelpEsb.RpcError` if
+  // the response is not successful.  Services that don't send the structured
+  // `error` meta only have their `reason` to go on.
+  HelpEsb.Client.prototype._checkRpcResult = function(request, response) {
+    if (response.getMeta('result') !== 'SUCCESS') {
+      return Promise.reject(this._rpcError(request, response));
+    }
+
+    return Promise.resolve(response);
+  };
+
+  // Creates the `HelpEsb.RpcError` for a failed RPC response.
+  HelpEsb.Client.prototype._rpcError = function(request, response) {
+    var envelope = response.getMeta('error', {});
+
+    return new HelpEsb.RpcError(
+      envelope.message || response.getMeta('reason', 'RPC request failed'),
+      {
+        code: envelope.code,
+        details: envelope.details,
+        remoteName: envelope.name,
+        remoteStack: envelope.stack,
+        request: request,
+        response: response
+      }
+    );
+  };
+
+  // Validates the message data against the schema of the given kind
+  // (`request` or `reply`) registered for the group(s), throwing a
+  // `HelpEsb.ValidationError` if it doesn't match.
+  HelpEsb.Client.prototype._validate = function(group, kind, message) {
+    [].concat(group).forEach(function(name) {
+      var schema = objectPath.get(this._schemas, [name, kind]);
+      if (!schema) {
+        return;
+      }
+
+      var result = this._validator.validateMultiple(message.get(), schema);
+      if (!result.valid) {
+        var errors = result.errors.map(function(error) {
+          return {path: error.dataPath, message: error.message};
+        });
+
+        throw new HelpEsb.ValidationError(
+          'Invalid ' + kind + ' for group ' + name + ': ' +
+            _.pluck(errors, 'message').join(', '),
+          {code: 'VALIDATION_FAILED', details: {group: name, errors: errors}}
+        );
+      }
+    }, this);
+  };
+
+  // Returns the trace context that messages sent in regards to the given
+  // message should continue: the span handling the message if this client
+  // is handling it, or otherwise the trace the message itself carries.
+  HelpEsb.Client.prototype._traceContext = function(inre) {
+    var id = inre.getMeta('id');
+    if (_.has(this._activeSpans, id)) {
+      return this._activeSpans[id].context();
+    }
+
+    return inre.getMeta('trace');
+  };
+
+  // Replies to an RPC request with a failure describing the given error.  The
+  // error is sent as a structured `error` meta field, and its message is also
+  // sent as the `reason` for services that don't understand the former.
+  HelpEsb.Client.prototype._replyFailure = function(request, error) {
+    var envelope = {name: 'Error', message: '' + error};
+    if (error instanceof Error) {
+      envelope = _.extend(
+        _.pick(error, 'code', 'details'),
+        {name: error.name, message: error.message}
+      );
+
+      if (this._options.exposeStack) {
+        envelope.stack = error.stack;
+      }
+    }
+
+    // A streamed response that fails part way through ends with the failure.
+    var meta = {reason: envelope.message, error: envelope};
+    var replyStream = this._replyStreams[request.getMeta('id')];
+    if (replyStream && replyStream.window !== null) {
+      meta.stream = {seq: replyStream.seq, end: true};
+    }
+
+    return this._send(
+      this.mb.failure(
+        this.mb.extend(this.mb.rpcReply(request), {meta: meta})
+      )
+    );
+  };
+
+  // Sends the values of the iterator as the chunks of a streamed response to
+  // the request, staying within the credit (`window`) the caller gives.  If
+  // the caller didn't ask for a stream, the values are collected and sent as
+  // one reply instead.  Waiting on the caller for more credit fails after the
+  // client's `rpcTimeout`.
+  HelpEsb.Client.prototype._replyStream = function(request, iterator, group) {
+    var id = request.getMeta('id');
+    var timeout = this._options.rpcTimeout;
+    var collected = [];
+    var replyStream = this._replyStreams[id] = {
+      window: request.getMeta('stream.window', null),
+      seq: 0,
+      acknowledged: 0,
+      cancelled: false,
+      wake: _.noop,
+      listener: function(ack) {
+        replyStream.acknowledged =
+          Math.max(replyStream.acknowledged, ack.get('seq', 0));
+        replyStream.cancelled = ack.get('cancel', false) === true;
+        replyStream.wake();
+      }
+    };
+    this.on('streamAck.' + id, replyStream.listener);
+
+    var waitForCredit = function() {
+      if (
+        replyStream.window === null ||
+        replyStream.cancelled ||
+        replyStream.seq < replyStream.acknowledged + replyStream.window
+      ) {
+        return Promise.resolve();
+      }
+
+      return new Promise(function(resolve, reject) {
+        var timer = timeout && setTimeout(function() {
+          reject(new HelpEsb.RpcTimeoutError(
+            'The caller did not read the streamed response within ' +
+              timeout + 'ms',
+            {messageId: id, group: group, timeout: timeout}
+          ));
+        }, timeout);
+
+        replyStream.wake = function() {
+          clearTimeout(timer);
+          replyStream.wake = _.noop;
+          resolve();
+        };
+      }).then(waitForCredit);
+    };
+
+    var reply = function(message, meta) {
+      return this._send(this.mb.success(this.mb.extend(
+        this.mb.rpcReply(request),
+        message,
+        {meta: meta}
+      )));
+    }.bind(this);
+
+    var pump = function() {
+      return waitForCredit().then(function() {
+        if (replyStream.cancelled) {
+          return _.isFunction(iterator.return) ? iterator.return() : null;
+        }
+
+        return Promise.resolve(iterator.next()).then(function(step) {
+          if (step.done) {
+            return replyStream.window === null ?
+              reply({data: collected}) :
+              reply({}, {stream: {seq: replyStream.seq, end: true}});
+          }
+
+          var chunk = this.mb.coerce(step.value);
+          this._validate(group, 'reply', chunk);
+          if (replyStream.window === null) {
+            collected.push(chunk.toJSON().data);
+
+            return pump();
+          }
+
+          return reply(chunk, {stream: {seq: replyStream.seq++}}).then(pump);
+        }.bind(this));
+      }.bind(this));
+    }.bind(this);
+
+    return pump().catch(function(error) {
+      if (_.isFunction(iterator.return)) {
+        iterator.return();
+      }
+
+      throw error;
+    });
+  };
+
+  // Runs the rpcReceive handler for the request unless the receiver's
+  // idempotency store already has the reply to it, remembering the reply
+  // otherwise.  Requests with the same key are handled one after the other so
+  // that a duplicate can be answered with the reply to the original.
+  HelpEsb.Client.prototype._handleIdempotently = function(
+    receiver,
+    message,
+    cb
+  ) {
+    var options = receiver.idempotency;
+    var key = receiver.group + ':' +
+      message.getMeta('idempotencyKey', message.getMeta('id'));
+    var previous = receiver.inFlight[key] || Promise.resolve();
+
+    var result = previous.catch(_.noop).then(function() {
+      return options.store.get(key);
+    }).then(function(cached) {
+      if (cached) {
+        this._telemetry.increment(
+          'esb.rpc.handler.duplicates',
+          1,
+          {group: receiver.group}
+        );
+
+        return new HelpEsb.Message(cached);
+      }
+
+      return Promise.resolve(cb.call({}, message)).tap(function(value) {
+        if (toIterator(value) !== null) {
+          return;
+        }
+
+        var reply = this.mb.coerce(value).toJSON();
+
+        return Promise.resolve(options.store.set(
+          key,
+          {meta: _.omit(reply.meta, 'id', 'ts'), data: reply.data},
+          options.ttl
+        )).catch(this.emit.bind(this, 'type.error'));
+      }.bind(this));
+    }.bind(this));
+
+    receiver.inFlight[key] = result;
+    result.catch(_.noop).then(function() {
+      if (receiver.inFlight[key] === result) {
+        delete receiver.inFlight[key];
+      }
+    });
+
+    return result;
+  };
+
+  // Stops tracking the streamed response to the request with the given id.
+  HelpEsb.Client.prototype._clearReplyStream = function(id) {
+    var replyStream = this._replyStreams[id];
+    if (replyStream) {
+      replyStream.wake();
+      this.removeListener('streamAck.' + id, replyStream.listener);
+      delete this._replyStreams[id];
+    }
+  };
+
+  // Returns a promise that is resolved with `true` once no requests are being
+  // handled and no outbound messages are waiting to be written, or with
+  // `false` if that hasn't happened by the given deadline.
+  HelpEsb.Client.prototype._whenIdle = function(deadline) {
+    var busy = this._queue.length > 0 || this._writesInFlight > 0 ||
+      _.any(this._receivers, function(receiver) {
+        return receiver.active > 0 || receiver.pending.length > 0;
+      });
+
+    if (!busy) {
+      return Promise.resolve(true);
+    }
+
+    if (Date.now() >= deadline) {
+      return Promise.resolve(false);
+    }
+
+    return Promise.delay(10).then(this._whenIdle.bind(this, deadline));
+  };
+
+  // Passes the message through the middleware for the given direction
+  // (`inbound` or `outbound`), calling `done` with the resulting message if
+  // none of the middleware dropped it.  Returns a promise of the pipeline's
+  // completion.  With no middleware, `done` is called synchronously.
+  HelpEsb.Client.prototype._runMiddleware = function(
+    direction,
+    message,
+    done
+  ) {
+    var stack = _.compact(_.pluck(this._middleware, direction));
+
+    var dispatch = function(index, current) {
+      if (index === stack.length) {
+        return Promise.resolve(done(current));
+      }
+
+      return Promise.try(function() {
+        return stack[index].call(this, current, function(replacement) {
+          return dispatch(index + 1, replacement || current);
+        });
+      }.bind(this));
+    }.bind(this);
+
+    return dispatch(0, message);
+  };
+
+  // Wait on the socket connection and once it is avaialable send the given
+  // message, bypassing the outbound queue, returning a promise of the message
+  // being sent.
+  HelpEsb.Client.prototype._sendRaw = function(message) {
+    return this._socketConnection.then(function() {
+      return this._prepare(message);
+    }.bind(this)).then(function(packet) {
+      if (packet !== null) {
+        return this._socket.writeAsync(packet);
+      }
+    }.bind(this));
+  };
+
+  // Gets the message ready to be written: stamps it with the current
+  // connection's channel id, passes it through the outbound middleware, and
+  // serializes it.  The message itself is left untouched so that it can be
+  // prepared again if it has to wait for another connection.  Returns a
+  // promise of the newline-terminated packet, or of `null` if middleware
+  // dropped the message.
+  HelpEsb.Client.prototype._prepare = function(message) {
+    var json = message.toJSON();
+    var stamped = new HelpEsb.Message(
+      this.decorateMessage({meta: _.clone(json.meta), data: json.data})
+    );
+    var packet = null;
+
+    return this._runMiddleware('outbound', stamped, function(outgoing) {
+      this._telemetry.increment(
+        'esb.messages.sent',
+        1,
+        {type: outgoing.getMeta('type'), group: outgoing.getMeta('group')}
+      );
+
+      return this._serialize(outgoing).then(function(serialized) {
+        packet = serialized + '\n';
+      });
+    }.bind(this)).then(function() {
+      return packet;
+    });
+  };
+
+  // Adds the message to the outbound queue, enforcing the configured queue
+  // limits, and flushes the queue if the client is online.  Returns a promise
+  // of the message being sent (or dropped, depending on the overflow policy).
+  // Once the client is closed, messages are rejected with a
+  // `HelpEsb.ClientClosedError` instead.
+  HelpEsb.Client.prototype._enqueue = function(message) {
+    if (this.state === 'closed') {
+      return Promise.reject(new HelpEsb.ClientClosedError(
+        'The ESB client is closed',
+        {esbMessage: message}
+      ));
+    }
+
+    return new Promise(function(resolve, reject) {
+      var entry = {
+        message: message,
+        ts: Date.now(),
+        resolve: resolve,
+        reject: reject
+      };
+
+      this._expireQueue();
+      if (this._queue.length >= this._options.queue.maxSize) {
+        if (this._options.queue.overflow !== 'drop-oldest') {
+          this._dropQueued(entry, 'maxSize');
+          return;
+        }
+
+        this._dropQueued(this._queue.shift(), 'maxSize');
+      }
+
+      this._queue.push(entry);
+      this._flushQueue();
+    }.bind(this));
+  };
+
+  // Writes out queued messages one at a time, in order, for as long as the
+  // client is online.  Messages are only prepared (see **_prepare**) right
+  // before they are written as they may have been queued up under a previous
+  // connection.  A message whose connection goes away while it is being
+  // prepared goes back to the front of the queue.
+  //
+  // When the socket's buffer fills up, flushing pauses until it drains so
+  // that the queue (and its limits) absorb the backpressure.
+  HelpEsb.Client.prototype._flushQueue = function() {
+    this._expireQueue();
+    if (
+      this._flushing ||
+      !this._online ||
+      this._socketFull ||
+      this._queue.length === 0
+    ) {
+      return;
+    }
+
+    var entry = this._queue.shift();
+    var socket = this._socket;
+    this._flushing = true;
+    this._writesInFlight++;
+
+    this._prepare(entry.message).then(function(packet) {
+      if (packet === null) {
+        this._settleWrite(entry);
+      } else if (!this._online || this._socket !== socket) {
+        this._requeueWrite(entry);
+      } else if (!socket.write(packet, this._settleWrite.bind(this, entry))) {
+        this._socketFull = true;
+        socket.once('drain', function() {
+          this._socketFull = false;
+          this._flushQueue();
+        }.bind(this));
+      }
+    }.bind(this), this._settleWrite.bind(this, entry)).finally(function() {
+      this._flushing = false;
+      this._flushQueue();
+    }.bind(this));
+  };
+
+  // Puts a queue entry that couldn't be written back at the front of the
+  // queue (replacing any copy of the message put there in the meantime),
+  // or fails it if the client was closed.
+  HelpEsb.Client.prototype._requeueWrite = function(entry) {
+    this._writesInFlight--;
+    this._queue = [entry].concat(_.reject(this._queue, function(queued) {
+      return queued.message === entry.message;
+    }));
+
+    if (this.state === 'closed') {
+      this._rejectQueue(new HelpEsb.ClientClosedError(
+        'The ESB client was closed before the message could be sent'
+      ));
+    }
+  };
+
+  // Settles the send promise of a queue entry once its write completes.
+  HelpEsb.Client.prototype._settleWrite = function(entry, error) {
+    this._writesInFlight--;
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve();
+    }
+  };
+
+  // Drops any queued messages that have been waiting longer than the
+  // configured `maxAge`.
+  HelpEsb.Client.prototype._expireQueue = function() {
+    var oldest = Date.now() - this._options.queue.maxAge;
+    while (this._queue.length > 0 && this._queue[0].ts < oldest) {
+      this._dropQueued(this._queue.shift(), 'maxAge');
+    }
+  };
+
+  // Drops a queue entry according to the overflow policy and lets listeners
+  // know about it.
+  HelpEsb.Client.prototype._dropQueued = function(entry, reason) {
+    var policy = this._options.queue.overflow;
+    if (policy === 'reject') {
+      entry.reject(new HelpEsb.QueueOverflowError(
+        'Message dropped from the outbound queue (' + reason + ')',
+        {reason: reason, esbMessage: entry.message}
+      ));
+    } else {
+      entry.resolve();
+    }
+
+    this.emit(
+      'queue.overflow',
+      {reason: reason, policy: policy, message: entry.message}
+    );
+  };
+
+  // Rejects everything in the outbound queue with the given error.
+  HelpEsb.Client.prototype._rejectQueue = function(error) {
+    var queue = this._queue;
+    this._queue = [];
+    queue.forEach(function(entry) {
+      entry.reject(error);
+    });
+  };
+
+  // Handle an incoming slice of data over the socket.  Split the message on
+  // the newline delimiters and pass each complete packet to `_handlePacket`.
+  HelpEsb.Client.prototype._handleData = function(data) {
+    this._watchHeartbeat();
+
+    // The rest of an oversize packet is skipped until the newline ending it.
+    if (this._discarding) {
+      var newline = data.indexOf('\n');
+      if (newline === -1) {
+        return;
+      }
+
+      this._discarding = false;
+      data = data.slice(newline + 1);
+    }
+
+    // Continue to append to the buffer.  The full message may not come in one
+    // piece.
+    this._buffer += data;
+    if (this._buffer.indexOf('\n') !== -1) {
+      // It is even possible that multiple packets were sent at once and so we
+      // need to make sure we parse all of them.
+      var packets = this._buffer.split('\n');
+
+      // The section after the last newline (which may be empty) is kept in the
+      // buffer as it belongs to the next packet.
+      this._buffer = packets[packets.length - 1];
+
+      packets.slice(0, -1).forEach(function(packet) {
+        if (packet.length > this._options.maxPacketSize) {
+          this._rejectPacket(packet.length);
+        } else {
+          this._handlePacket(packet);
+        }
+      }, this);
+    }
+
+    // Don't keep buffering a packet that is already too large.
+    if (this._buffer.length > this._options.maxPacketSize) {
+      this._rejectPacket(this._buffer.length);
+      this._buffer = '';
+      this._discarding = true;
+    }
+  };
+
+  // Reports a packet that was discarded for exceeding the `maxPacketSize`.
+  // The size is as much of the packet as was seen.
+  HelpEsb.Client.prototype._rejectPacket = function(size) {
+    this._discardPacket(new HelpEsb.PacketTooLargeError(
+      'Discarded a packet of ' + size + ' characters or more (the limit is ' +
+        this._options.maxPacketSize + ')',
+      {size: size, maxPacketSize: this._options.maxPacketSize}
+    ));
+  };
+
+  // Counts and reports a packet that was discarded for being too large.
+  HelpEsb.Client.prototype._discardPacket = function(error) {
+    this.stats.oversizePackets++;
+    this._telemetry.increment('esb.packets.oversize', 1);
+    this.emit('type.error', error);
+  };
+
+  // Handles a single packet of data.  The packet is expected to be JSON, and
+  // if it isn't, a `type.error` event will be emitted.  Otherwise, an event
+  // for each of the meta fields (e.g., `type.error`, `group.someGroup`,
+  // `replyTo.SOME_ID`) will be emitted.
+  //
+  // In addition, non-error packets will be emitted to the `*` event and, if no
+  // listeners were fired for the packet, to the `*.unhandled` event.
+  //
+  // Messages pass through the inbound middleware before any of the events are
+  // emitted.
+  //
+  // In the future, this will also be responsible for handling "special"
+  // packets like heartbeats, etc. that are kept separate from the primary
+  // payload packets.
+  HelpEsb.Client.prototype._handlePacket = function(packet) {
+    this.stats.packetsReceived++;
+
+    // Decompressing is asynchronous, so packets are decoded one after the
+    // other to keep their messages in the order they arrived.  A
+    // `type.error` listener throwing must not stall the packets after it.
+    this._decoding = this._decoding.then(function() {
+      return this._decode(packet);
+    }.bind(this)).then(function(message) {
+      this._telemetry.increment(
+        'esb.messages.received',
+        1,
+        {type: message.getMeta('type')}
+      );
+      Promise.try(
+        this._runMiddleware.bind(
+          this,
+          'inbound',
+          message,
+          this._emitMessage.bind(this)
+        )
+      ).catch(this.emit.bind(this, 'type.error'));
+    }.bind(this), function(e) {
+      if (e instanceof HelpEsb.PacketTooLargeError) {
+        this._discardPacket(e);
+        return;
+      }
+
+      if (this._options.debug) {
+        console.log('help-esb ERROR PARSING', packet);
+      }
+
+      this.stats.parseFailures++;
+      this._telemetry.increment('esb.packets.malformed', 1);
+      this.emit('type.error', e);
+    }.bind(this)).catch(_.noop);
+  };
+
+  // Parses and decodes a packet into a message, failing for packets that
+  // aren't valid messages.
+  HelpEsb.Client.prototype._decode = function(packet) {
+    return Promise.try(function() {
+      return this._deserialize(JSON.parse(packet));
+    }.bind(this)).then(function(decoded) {
+      var message = new HelpEsb.Message(decoded);
+      if (!message.hasMeta('type')) {
+        throw new Error('Invalid format detected for packet');
+      }
+
+      return message;
+    });
+  };
+
+  // Converts the message into the JSON sent over the wire, encoding any
+  // Buffers in its data and compressing the data according to the
+  // `compression` option.  Returns a promise of the JSON.
+  HelpEsb.Client.prototype._serialize = function(message) {
+    var json = message.toJSON();
+    var meta = json.meta;
+    var data = HelpEsb.encodeBuffers(json.data);
+
+    var compression = this._options.compression;
+    if (!compression || meta.type !== 'sendMessage') {
+      return Promise.resolve(JSON.stringify({meta: meta, data: data}));
+    }
+
+    var raw = JSON.stringify(data);
+    if (raw.length < compression.threshold) {
+      return Promise.resolve(JSON.stringify({meta: meta, data: data}));
+    }
+
+    return compressors[compression.encoding].compress(raw)
+      .then(function(compressed) {
+        return JSON.stringify({
+          meta: _.extend({}, meta, {encoding: compression.encoding}),
+          data: compressed.toString('base64')
+        });
+      });
+  };
+
+  // Undoes **_serialize** for a packet received from the ESB.  Data that
+  // would decompress to more than `maxPacketSize` bytes is not decompressed
+  // any further and fails with a `HelpEsb.PacketTooLargeError` instead.
+  HelpEsb.Client.prototype._deserialize = function(packet) {
+    if (!_.isObject(packet) || !_.has(packet, 'data')) {
+      return Promise.resolve(packet);
+    }
+
+    var meta = packet.meta;
+    if (!_.has(meta, 'encoding')) {
+      return Promise.resolve(
+        {meta: meta, data: HelpEsb.decodeBuffers(packet.data)}
+      );
+    }
+
+    if (!_.has(compressors, meta.encoding)) {
+      return Promise.reject(
+        new Error('Unsupported message encoding: ' + meta.encoding)
+      );
+    }
+
+    var maxPacketSize = this._options.maxPacketSize;
+
+    return compressors[meta.encoding].decompress(
+      Buffer.from(packet.data, 'base64'),
+      {maxOutputLength: maxPacketSize}
+    ).catch(function(error) {
+      if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+        throw error;
+      }
+
+      throw new HelpEsb.PacketTooLargeError(
+        'Discarded a packet whose data decompresses to more than ' +
+          maxPacketSize + ' bytes',
+        {size: packet.data.length, maxPacketSize: maxPacketSize}
+      );
+    }).then(function(raw) {
+      return {
+        meta: _.omit(meta, 'encoding'),
+        data: HelpEsb.decodeBuffers(JSON.parse(raw.toString()))
+      };
+    });
+  };
+
+  // Sends the acknowledgement (or rejection, with whether to deliver it
+  // again) of a message the ESB requires acknowledgements for.
+  HelpEsb.Client.prototype._acknowledge = function(message, ack, requeue) {
+    return this._send(
+      ack ? this.mb.ack(message) : this.mb.nack(message, requeue)
+    );
+  };
+
+  // Emits the events for an incoming message as described in
+  // **_handlePacket**.
+  HelpEsb.Client.prototype._emitMessage = function(message) {
+    // Messages from subscriptions with manual acknowledgements can be
+    // acknowledged back to the ESB.
+    if (message.getMeta('requiresAck') === true) {
+      message._acknowledge = this._acknowledge.bind(this, message);
+    }
+
+    // Collects the key.value events for the message.  If the value is an
+    // array, there is an event for each value in the array.
+    var keyValueEvents = function(value, key) {
+      return [].concat(value).map(function(valueInner) {
+        return key + '.' + valueInner;
+      });
+    };
+
+    // Messages are also emitted to each matching group pattern.  A literal
+    // group like `orders.*` is both a key.value event and a pattern, and more
+    // than one of the message's groups can match the same pattern, so every
+    // event is only emitted once.
+    var groups = [].concat(message.getMeta('group', []));
+    var patterns = _.filter(_.keys(this._groupPatterns), function(pattern) {
+      return _.any(groups, _.partial(HelpEsb.matchGroup, pattern));
+    });
+    var events = _.uniq(
+      _.flatten(_.map(message.getMeta(), keyValueEvents)).concat(
+        patterns.map(function(pattern) {
+          return 'group.' + pattern;
+        })
+      )
+    );
+
+    // Returns true if any of the events were handled.
+    this.emit('*', message);
+    var handled = events.map(function(event) {
+      return this.emit(event, message);
+    }, this);
+    if (!_.any(handled)) {
+      this.emit('*.unhandled', message);
+    }
+  };
+
+  // Starts matching incoming messages against the group pattern of a newly
+  // added `group.*` listener.
+  HelpEsb.Client.prototype._addGroupPattern = function(event) {
+    var group = event.replace(/^group\./, '');
+    if (group !== event && HelpEsb.isGroupPattern(group)) {
+      this._groupPatterns[group] = true;
+    }
+  };
+
+  // Stops matching against a group pattern once its last listener is gone.
+  HelpEsb.Client.prototype._removeGroupPattern = function(event) {
+    var group = event.replace(/^group\./, '');
+    if (_.has(this._groupPatterns, group) && !this.listeners(event).length) {
+      delete this._groupPatterns[group];
+    }
+  };
+
+  // Check whether the message is one that is typically internal to the ESB
+  // client.  Heartbeats are internal as they are automatically responded to
+  // and don't need to clutter logs.
+  HelpEsb.Client.prototype._isInternal = function(message) {
+    return _.contains(
+      ['heartbeat', 'heartbeat-reply'],
+      message.getMeta('type')
+    );
+  };
+
+  // Registers a handler for heartbeats that responds to them to keep this
+  // service alive.
+  HelpEsb.Client.prototype._registerHeartbeatResponder = function() {
+    this.on('type.heartbeat', function(message) {
+      this._telemetry.increment('esb.heartbeats', 1);
+      if (_.isNumber(message.getMeta('ts'))) {
+        this.heartbeatLatency =
+          Math.max(Date.now() - message.getMeta('ts') * 1000, 0);
+        this._telemetry.histogram(
+          'esb.heartbeat.latency',
+          this.heartbeatLatency
+        );
+      }
+
+      this._send(this.mb.heartbeatReply(message));
+    }.bind(this));
+  };
+
+  // (Re)starts the timer that tears down the connection when neither a
+  // heartbeat nor any other traffic arrives from the ESB in time.  The close
+  // of the socket then triggers the usual reconnect.
+  HelpEsb.Client.prototype._watchHeartbeat = function() {
+    var options = this._options.heartbeat;
+    if (!options || this.state === 'closed') {
+      return;
+    }
+
+    clearTimeout(this._heartbeatTimer);
+    var since = Date.now();
+    this._heartbeatTimer = setTimeout(function() {
+      this._heartbeatTimer = null;
+      this._telemetry.increment('esb.heartbeats.missed', 1);
+      this.emit('heartbeat.missed', Date.now() - since);
+      this._socket.destroy();
+    }.bind(this), options.interval + options.grace);
+  };
+
+  // This will return a failed promise if authentication hasn't been attempted
+  // yet.
+  HelpEsb.Client.prototype._authPromise = function() {
+    return this._authentication ||
+      Promise.reject('Attempted to send data through the ESB before authenticating');
+  };
+
+  // ## Group Patterns
+
+  // Converts a group pattern into the regular expression it stands for.  A
+  // `#` segment also covers the dot joining it to its neighbor so that it can
+  // match zero segments.
+  var patternToRegExp = _.memoize(function(pattern) {
+    var segments = pattern.split('.');
+    if (pattern === '#') {
+      return /^.*$/;
+    }
+
+    var source = segments.map(function(segment, i) {
+      if (segment === '#') {
+        return i === 0 ? '(?:.*\\.)?' : '(?:\\..*)?';
+      }
+
+      var separator = i === 0 || (i === 1 && segments[0] === '#') ? '' : '\\.';
+
+      return separator + _.escapeRegExp(segment).replace(/\\\*/g, '[^.]*');
+    }).join('');
+
+    return new RegExp('^' + source + '$');
+  });
+
+  // ### HelpEsb.isGroupPattern
+  // Checks whether the group name contains any wildcards.
+  HelpEsb.isGroupPattern = function(group) {
+    return /[*#]/.test(group);
+  };
+
+  // ### HelpEsb.matchGroup
+  // Checks whether the group matches the pattern.  In patterns, `*` matches
+  // within a single dot-delimited segment and `#` matches any number of
+  // segments, including none.
   //
-  // You probably don't need to call this yourself as it is called by the
-  // `MessageBuilder`.
-  HelpEsb.Client.prototype.decorateMessage = function(message) {
-    if (
-      this._authentication !== null &&
-      this._authentication.isFulfilled() &&
-      this._authentication.value().has('channelId')
-    ) {
-      message.meta.from = this._authentication.value().get('channelId');
+  //     HelpEsb.matchGroup('orders.*', 'orders.created') === true;
+  //     HelpEsb.matchGroup('orders.*', 'orders.eu.created') === false;
+  //     HelpEsb.matchGroup('tenant-42.#', 'tenant-42.orders.created') === true;
+  HelpEsb.matchGroup = function(pattern, group) {
+    return patternToRegExp(pattern).test(group);
+  };
+
+  // ## Streamed Responses
+
+  // Returns the async iterator to stream a response from if the rpcReceive
+  // handler returned one (or a readable stream), and `null` otherwise.
+  var toIterator = function(value) {
+    if (!_.isObject(value)) {
+      return null;
     }
 
-    return message;
+    if (_.isFunction(value.pipe) && _.isFunction(value.read)) {
+      return readableIterator(value);
+    }
+
+    return _.isFunction(value.next) ? value : null;
   };
 
-  // ---
-  // ### Private Methods
+  // Adapts a readable stream to the async iterator protocol, reading values
+  // only as they are asked for.
+  var readableIterator = function(readable) {
+    var ended = false;
+    var failure = null;
+    var wake = _.noop;
 
-  // Does the actual connecting and binds events onto the socket for handling
-  // data/error/close.
-  HelpEsb.Client.prototype._connect = function(uri) {
-    var uriObj = url.parse(uri);
-    // This uses the basic socket connection to the ESB.  We are forcing utf-8
-    // here as we shouldn't really use anything else.
-    this._socket = Promise.promisifyAll(
-      net.createConnection({host: uriObj.hostname, port: uriObj.port})
-    );
-    this._socket.setEncoding('utf-8');
+    readable.on('readable', function() {
+      wake();
+    });
+    readable.on('end', function() {
+      ended = true;
+      wake();
+    });
+    readable.on('error', function(error) {
+      failure = error;
+      wake();
+    });
 
-    // We can't send anything over the socket until we have a connection.  We
-    // immediately initiate the connection and save a promise for it so that
-    // the client ensures the connection exists before trying to send data.
-    this._socketConnection = this._socket.onAsync('connect');
+    var next = function() {
+      if (failure !== null) {
+        return Promise.reject(failure);
+      }
 
-    // Handle data coming in over the socket using our special handler.
-    // Because data can come in pieces, we have to keep a data buffer so that
-    // we only process complete payloads.
-    this._buffer = '';
-    this._socket.on('data', this._handleData.bind(this));
+      var value = readable.read();
+      if (value !== null) {
+        return Promise.resolve({value: value, done: false});
+      }
 
-    // Error handling is a bit simpler - we can just pass the error to the
-    // user's configured error handler.
-    this._socket.on('error', this.emit.bind(this, 'type.error'));
+      if (ended) {
+        return Promise.resolve({value: undefined, done: true});
+      }
 
-    this._socket.on('close', this._reconnect.bind(this, uri));
-  };
+      return new Promise(function(resolve) {
+        wake = resolve;
+      }).then(function() {
+        wake = _.noop;
 
-  // This reconnects to the ESB and sets up the resubscription handler.
-  HelpEsb.Client.prototype._reconnect = function(uri) {
-    var previousSubscriptions = Object.keys(this._subscriptions);
+        return next();
+      });
+    };
 
-    this._socket.destroy();
-    this._connect(uri);
+    return {
+      next: next,
+      return: function() {
+        readable.destroy();
 
-    this._socket.on(
-      'connect',
-      this._resubscribe.bind(this, this._login, previousSubscriptions)
-    );
+        return Promise.resolve({value: undefined, done: true});
+      }
+    };
   };
 
-  // Reauthenticates and resubscribes to the socket using the given data.
-  HelpEsb.Client.prototype._resubscribe = function(login, subscriptions) {
-    this._authentication = null;
-    this._subscriptions = {};
-
-    if (login !== null) {
-      this.emit('socket.reconnect');
-      this.login(login);
-      subscriptions.forEach(this.subscribe, this);
+  // ## Payload Encoding
+
+  // The algorithms that message data can be compressed with, by the name used
+  // in the `encoding` meta field.
+  var compressors = {
+    gzip: {
+      compress: Promise.promisify(zlib.gzip),
+      decompress: Promise.promisify(zlib.gunzip)
+    },
+    deflate: {
+      compress: Promise.promisify(zlib.deflate),
+      decompress: Promise.promisify(zlib.inflate)
     }
   };
 
-  // Format the message for the ESB and send it over the socket.  JSON encodes
-  // the message and appends a newline as the delimiter between messages.
-  HelpEsb.Client.prototype._send = function(message, replyCallback) {
-    if (this._options.debug && !this._isInternal(message)) {
-      console.log('help-esb SENDING', message.toJSON());
+  // ### HelpEsb.encodeBuffers
+  // Replaces the Buffers in message data with `{"$buffer": "<base64>"}`
+  // objects so that they survive being sent (or stored) as JSON.  The client
+  // does this for every message it sends.
+  HelpEsb.encodeBuffers = function(value) {
+    if (Buffer.isBuffer(value)) {
+      return {$buffer: value.toString('base64')};
     }
 
-    // Register a callback for replies to this message if a callback is given.
-    if (replyCallback) {
-      this.once(
-        'replyTo.' + message.getMeta('id'),
-        _.partial(replyCallback, null)
-      );
+    if (_.isArray(value)) {
+      return _.map(value, HelpEsb.encodeBuffers);
     }
 
-    return this._sendRaw(JSON.stringify(message) + '\n');
+    return _.isPlainObject(value) ?
+      _.mapValues(value, HelpEsb.encodeBuffers) :
+      value;
   };
 
-  // Sends the message like **_send**, but returns a promise for a response
-  // from some other service.  This uses the autogen message id and relies on
-  // the other service properly publishing a message with a proper replyTo.
-  HelpEsb.Client.prototype._rpcSend = function(message) {
-    var send = Promise.promisify(HelpEsb.Client.prototype._send).bind(this);
-    return send(message).then(this._checkRpcResult);
-  };
+  // ### HelpEsb.decodeBuffers
+  // Turns the `{"$buffer": "<base64>"}` objects in message data back into
+  // Buffers, undoing [encodeBuffers](#helpesb-encodebuffers).
+  HelpEsb.decodeBuffers = function(value) {
+    if (_.isArray(value)) {
+      return _.map(value, HelpEsb.decodeBuffers);
+    }
+
+    if (!_.isPlainObject(value)) {
+      return value;
+    }
 
-  // Checks an RPC response and fails the promise if the response is not
-  // successful.
-  HelpEsb.Client.prototype._checkRpcResult = function(message) {
-    if (message.getMeta('result') !== 'SUCCESS') {
-      return Promise.reject(message.getMeta('reason'));
+    var keys = _.keys(value);
+    if (_.isEqual(keys, ['$buffer']) && _.isString(value.$buffer)) {
+      return Buffer.from(value.$buffer, 'base64');
     }
 
-    return Promise.resolve(message);
+    return _.mapValues(value, HelpEsb.decodeBuffers);
   };
 
-  // Wait on the socket connection and once it is avaialable send the given
-  // string packet returning a promise of the packet being sent.
-  HelpEsb.Client.prototype._sendRaw = function(packet) {
-    return this._socketConnection.then(function() {
-      return this._socket.writeAsync(packet);
-    }.bind(this));
+  // ## Credentials
+
+  // The longest delay `setTimeout` supports.
+  var maxTimeout = 2147483647;
+
+  // How long before expiring credentials are renewed: a tenth of their
+  // lifetime, but at most a minute.
+  var refreshMargin = function(expiresIn) {
+    return Math.min(60000, expiresIn / 10);
   };
 
-  // Handle an incoming slice of data over the socket.  Split the message on
-  // the newline delimiters and pass each complete packet to `_handlePacket`.
-  HelpEsb.Client.prototype._handleData = function(data) {
-    // Continue to append to the buffer.  The full message may not come in one
-    // piece.
-    this._buffer += data;
-    if (this._buffer.indexOf('\n') !== -1) {
-      // It is even possible that multiple packets were sent at once and so we
-      // need to make sure we parse all of them.
-      var packets = this._buffer.split('\n');
+  // Resolves the credentials given to login, calling the token provider for
+  // a fresh token if the credentials are one.
+  var resolveCredentials = function(credentials) {
+    if (!_.isFunction(credentials)) {
+      return Promise.resolve(credentials);
+    }
 
-      // The section after the last newline (which may be empty) is kept in the
-      // buffer as it belongs to the next packet.
-      this._buffer = packets[packets.length - 1];
+    return Promise.resolve(credentials()).then(function(result) {
+      return _.isString(result) ? {token: result} : result;
+    });
+  };
 
-      packets.slice(0, -1).forEach(this._handlePacket.bind(this));
+  // Returns the credentials as they are sent in the login message.  A shared
+  // secret only announces that the client expects a challenge.
+  var wireCredentials = function(credentials) {
+    if (_.has(credentials, 'secret')) {
+      return {type: 'hmac'};
     }
+
+    return {type: 'bearer', token: credentials.token};
   };
 
-  // Handles a single packet of data.  The packet is expected to be JSON, and
-  // if it isn't, a `type.error` event will be emitted.  Otherwise, an event
-  // for each of the meta fields (e.g., `type.error`, `group.someGroup`,
-  // `replyTo.SOME_ID`) will be emitted.
+  // ## HelpEsb.transports
+  // The transports available to the client, keyed by URI scheme.  Each
+  // transport is a function that takes the parsed URI and the client options
+  // and returns a socket-like connection: an `EventEmitter` that emits
+  // `connect` (or `secureConnect` if it is `encrypted`), utf-8 `data`,
+  // `drain`, `error`, and `close` events and has the `write`, `end`, and
+  // `destroy` methods of a `net.Socket`.  The same newline-delimited JSON
+  // framing, heartbeats, and reconnects are used on top of every transport.
   //
-  // In addition, non-error packets will be emitted to the `*` event and, if no
-  // listeners were fired for the packet, to the `*.unhandled` event.
+  // Add transports for other schemes by assigning them here.
   //
-  // In the future, this will also be responsible for handling "special"
-  // packets like heartbeats, etc. that are kept separate from the primary
-  // payload packets.
-  HelpEsb.Client.prototype._handlePacket = function(packet) {
-    var message;
+  //     HelpEsb.transports.foo = function(uri, options) {
+  //       return new FooSocket(uri.hostname, uri.port);
+  //     };
+  HelpEsb.transports = {};
+
+  // Returns the scheme of the ESB URI, failing if there is no transport for
+  // it.  URIs without a scheme use TCP.
+  var transportScheme = function(uri) {
+    var scheme = (url.parse(uri).protocol || 'tcp:').replace(/:$/, '');
+    if (!_.has(HelpEsb.transports, scheme)) {
+      throw new Error('Unsupported ESB transport: ' + scheme);
+    }
 
-    try {
-      message = new HelpEsb.Message(JSON.parse(packet));
-      if (!message.hasMeta('type')) {
-        throw new Error('Invalid format detected for packet');
-      }
-    } catch (e) {
-      if (this._options.debug) {
-        console.log('help-esb ERROR PARSING', packet);
-      }
+    return scheme;
+  };
 
-      this.emit('type.error', e);
-      return;
-    }
+  // ### HelpEsb.transports.tcp
+  // Plain TCP, connecting to the URI's host and port.  We are forcing utf-8
+  // here as we shouldn't really use anything else.
+  HelpEsb.transports.tcp = function(uri) {
+    var socket = net.createConnection({host: uri.hostname, port: uri.port});
+    socket.setEncoding('utf-8');
 
-    if (this._options.debug && !this._isInternal(message)) {
-      console.log('help-esb RECEIVED', message.toJSON());
-    }
+    return socket;
+  };
 
-    // Emits key.value events with the message.  If the value is an
-    // array, it iterates over the array and emits events on each value in the
-    // array.  Returns true if any of the events were handled.
-    var emitKeyValue = function(value, key) {
-      if (_.isArray(value)) {
-        return _.any(_.map(value, function(valueInner) {
-          return emitKeyValue(valueInner, key);
-        }));
-      }
+  // ### HelpEsb.transports.tcps
+  // TCP encrypted with TLS, using the client's `tls` options.  Also available
+  // as `tls`.
+  HelpEsb.transports.tcps = HelpEsb.transports.tls = function(uri, options) {
+    var socket = tls.connect(_.extend(
+      {host: uri.hostname, port: uri.port, servername: uri.hostname},
+      options.tls
+    ));
+    socket.setEncoding('utf-8');
+
+    return socket;
+  };
 
-      return this.emit(key + '.' + value, message);
-    }.bind(this);
+  // ### HelpEsb.transports.unix
+  // A Unix domain socket at the URI's path, e.g. `unix:///var/run/esb.sock`.
+  HelpEsb.transports.unix = function(uri) {
+    var socket = net.createConnection({path: uri.pathname});
+    socket.setEncoding('utf-8');
 
-    this.emit('*', message);
-    if (!_.any(_.map(message.getMeta(), emitKeyValue))) {
-      this.emit('*.unhandled', message);
-    }
+    return socket;
   };
 
-  // Check whether the message is one that is typically internal to the ESB
-  // client.  Heartbeats are internal as they are automatically responded to
-  // and don't need to clutter logs.
-  HelpEsb.Client.prototype._isInternal = function(message) {
-    return _.contains(
-      ['heartbeat', 'heartbeat-reply'],
-      message.getMeta('type')
-    );
+  // ### HelpEsb.transports.ws
+  // WebSocket, using the whole URI as the WebSocket URL.  Also available as
+  // `wss`, which uses the client's `tls` options.
+  HelpEsb.transports.ws = HelpEsb.transports.wss = function(uri, options) {
+    return new WebSocketConnection(uri.href, options.tls);
   };
 
-  // Registers a handler for heartbeats that responds to them to keep this
-  // service alive.
-  HelpEsb.Client.prototype._registerHeartbeatResponder = function() {
-    this.on('type.heartbeat', function(message) {
-      this._send(this.mb.heartbeatReply(message));
+  // Adapts a WebSocket to the socket-like interface the client expects.  Each
+  // message is sent as a text frame holding its newline-terminated JSON, and
+  // incoming frames are passed on as data, adding the newline if the ESB
+  // leaves it off.
+  var WebSocketConnection = function(href, options) {
+    EventEmitter.call(this);
+
+    this.destroyed = false;
+    this._ws = new WebSocket(href, options);
+    this._ws.on('open', this.emit.bind(this, 'connect'));
+    this._ws.on('message', function(data) {
+      data = data.toString('utf-8');
+      this.emit('data', /\n$/.test(data) ? data : data + '\n');
+    }.bind(this));
+    this._ws.on('error', this.emit.bind(this, 'error'));
+    this._ws.on('close', function() {
+      this.destroyed = true;
+      this.emit('close');
     }.bind(this));
   };
 
-  // This will return a failed promise if authentication hasn't been attempted
-  // yet.
-  HelpEsb.Client.prototype._authPromise = function() {
-    return this._authentication ||
-      Promise.reject('Attempted to send data through the ESB before authenticating');
+  util.inherits(WebSocketConnection, EventEmitter);
+
+  // Sends the data as a text frame.  WebSocket doesn't report backpressure
+  // the way sockets do, so this always reports the data as flushed.
+  WebSocketConnection.prototype.write = function(data, cb) {
+    if (this._ws.readyState !== WebSocket.OPEN) {
+      (cb || _.noop)(new Error('WebSocket is not open'));
+      return true;
+    }
+
+    this._ws.send(data, cb);
+
+    return true;
+  };
+
+  // Closes the WebSocket cleanly.
+  WebSocketConnection.prototype.end = function() {
+    this._ws.close();
+  };
+
+  // Closes the WebSocket immediately.
+  WebSocketConnection.prototype.destroy = function() {
+    this.destroyed = true;
+    this._ws.terminate();
   };
 
   // ## HelpEsb.MessageBuilder
@@ -471,18 +2837,53 @@
   };
 
   // ### HelpEsb.MessageBuilder.login
-  // Creates a standard login message for the given client name.
-  HelpEsb.MessageBuilder.prototype.login = function(name) {
+  // Creates a standard login message for the given client name and,
+  // optionally, the credentials to send along (`{type: 'bearer', token}` or
+  // `{type: 'hmac'}`).
+  HelpEsb.MessageBuilder.prototype.login = function(name, credentials) {
+    var data = {name: name, subscriptions: []};
+    if (credentials) {
+      data.credentials = credentials;
+    }
+
+    return new HelpEsb.Message({meta: {type: 'login'}, data: data});
+  };
+
+  // ### HelpEsb.MessageBuilder.authenticate
+  // Creates the message answering the ESB's login challenge with the
+  // signature of its nonce.
+  HelpEsb.MessageBuilder.prototype.authenticate = function(
+    challenge,
+    name,
+    signature
+  ) {
     return new HelpEsb.Message({
-      meta: {type: 'login'},
-      data: {name: name, subscriptions: []}
+      meta: {type: 'authenticate', replyTo: challenge.getMeta('id')},
+      data: {
+        name: name,
+        nonce: challenge.get('nonce'),
+        signature: signature
+      }
     });
   };
 
   // ### HelpEsb.MessageBuilder.subscribe
-  // Creates a standard subscribe message for the given group name.
-  HelpEsb.MessageBuilder.prototype.subscribe = function(group) {
-    return this.create({meta: {type: 'subscribe'}, data: {channel: group}});
+  // Creates a standard subscribe message for the given group name.  Asking
+  // for `{ack: 'manual'}` in the options makes the ESB wait for
+  // acknowledgements of the group's messages.
+  HelpEsb.MessageBuilder.prototype.subscribe = function(group, options) {
+    var data = {channel: group};
+    if (options && options.ack === 'manual') {
+      data.ack = 'manual';
+    }
+
+    return this.create({meta: {type: 'subscribe'}, data: data});
+  };
+
+  // ### HelpEsb.MessageBuilder.unsubscribe
+  // Creates a standard unsubscribe message for the given group name.
+  HelpEsb.MessageBuilder.prototype.unsubscribe = function(group) {
+    return this.create({meta: {type: 'unsubscribe'}, data: {channel: group}});
   };
 
   // ### HelpEsb.MessageBuilder.heartbeatReply
@@ -496,20 +2897,72 @@
 
   // ### HelpEsb.MessageBuilder.send
   // Creates a standard `sendMessage` message, extending off of the given
-  // message.
+  // message.  A message sent in regards to another continues its trace.
   HelpEsb.MessageBuilder.prototype.send = function(group, message, inre) {
     return this.extend(
       {
         meta: {
           type: 'sendMessage',
           group: group,
-          inre: inre && inre.getMeta('id')
+          inre: inre && inre.getMeta('id'),
+          trace: inre && this._client._traceContext(inre)
         }
       },
       message
     );
   };
 
+  // ### HelpEsb.MessageBuilder.sendConfirmed
+  // Creates a `sendMessage` message like [send](#helpesb-messagebuilder-send)
+  // that the ESB confirms with a `sendMessage-reply` once it has accepted the
+  // message.
+  HelpEsb.MessageBuilder.prototype.sendConfirmed = function(
+    group,
+    message,
+    inre
+  ) {
+    return this.extend(
+      this.send(group, message, inre),
+      {meta: {confirm: true}}
+    );
+  };
+
+  // ### HelpEsb.MessageBuilder.ack
+  // Creates the message acknowledging the given message to the ESB.
+  HelpEsb.MessageBuilder.prototype.ack = function(message) {
+    return this.create({
+      meta: {type: 'ack'},
+      data: {id: message.getMeta('id')}
+    });
+  };
+
+  // ### HelpEsb.MessageBuilder.nack
+  // Creates the message rejecting the given message, asking the ESB to
+  // deliver it again if `requeue` is true.
+  HelpEsb.MessageBuilder.prototype.nack = function(message, requeue) {
+    return this.create({
+      meta: {type: 'nack'},
+      data: {id: message.getMeta('id'), requeue: requeue}
+    });
+  };
+
+  // ### HelpEsb.MessageBuilder.streamAck
+  // Creates the message acknowledging the first `seq` chunks of a streamed
+  // response, sent directly to the service streaming it, given the last chunk
+  // received.  The acknowledgement can also `cancel` the rest of the stream.
+  HelpEsb.MessageBuilder.prototype.streamAck = function(chunk, seq, cancel) {
+    return this.send(
+      [],
+      {
+        meta: {
+          channel: chunk.getMeta('from'),
+          streamAck: chunk.getMeta('replyTo')
+        },
+        data: {seq: seq, cancel: cancel}
+      }
+    );
+  };
+
   // ### HelpEsb.MessageBuilder.rpcReply
   // Wraps a standard send message based on an incoming RPC request message.
   // Sets the replyTo, channel, group, and session meta fields.
@@ -574,10 +3027,10 @@
   // The `data` extension has some special handling for arrays and other
   // non-object data types.  If any of the messages have an array `data` field,
   // then array concatentation is used to merge the messages together.  If any
-  // of the messages have other non-object `data` fields, then order-based
-  // precedence (last one wins) is used to return the `data` field unmodified
-  // from the last message with one.  For objects, standard _.extend behavior
-  // is used to merge the objects together.
+  // of the messages have other non-object `data` fields (Buffers included),
+  // then order-based precedence (last one wins) is used to return the `data`
+  // field unmodified from the last message with one.  For objects, standard
+  // _.extend behavior is used to merge the objects together.
   HelpEsb.MessageBuilder.prototype.extend = function(/* object, extension */) {
     var params = _.map(arguments, function(arg) {
       return _.clone(arg instanceof HelpEsb.Message ? arg.toJSON() : arg);
@@ -590,7 +3043,9 @@
       return this.build(Array.prototype.concat.apply([], arrayData), newMeta);
     }
 
-    var nonObjectData = _.reject(data, _.isObject);
+    var nonObjectData = _.reject(data, function(value) {
+      return _.isObject(value) && !Buffer.isBuffer(value);
+    });
     if (!_.isEmpty(nonObjectData)) {
       return this.build(_.last(nonObjectData), newMeta);
     }
@@ -598,9 +3053,278 @@
     return this.build(_.extend.apply({}, [{}].concat(data)), newMeta);
   };
 
+  // ## HelpEsb.middleware
+  // Ready-made middleware for use with [use](#helpesb-client-use).
+  HelpEsb.middleware = {};
+
+  // ### HelpEsb.middleware.logger
+  // Logs messages going in and out of the client, except for internal ones
+  // like heartbeats, using the given log function (`console.log` by
+  // default).  This is what the client's `debug` option turns on.
+  //
+  //     client.use(HelpEsb.middleware.logger(console.error));
+  HelpEsb.middleware.logger = function(log) {
+    log = log || console.log.bind(console);
+
+    return {
+      outbound: function(message, next) {
+        if (!this._isInternal(message)) {
+          log('help-esb SENDING', message.toJSON());
+        }
+
+        return next();
+      },
+      inbound: function(message, next) {
+        if (!this._isInternal(message)) {
+          log('help-esb RECEIVED', message.toJSON());
+        }
+
+        return next();
+      }
+    };
+  };
+
+  // ## HelpEsb.Telemetry
+  // The interface the client reports traces and metrics through, given as the
+  // client's `telemetry` option.  This base implementation keeps track of
+  // trace ids but otherwise records nothing; adapters for a particular
+  // tracing or metrics system override the methods they support.
+  //
+  //     var telemetry = new HelpEsb.Telemetry();
+  //     telemetry.histogram = function(name, value, attributes) {
+  //       statsd.histogram(name, value, attributes);
+  //     };
+  //     var client = new HelpEsb.Client(uri, {telemetry: telemetry});
+  //
+  // Spans are started for each [rpcSend](#helpesb-client-rpcsend)
+  // (`rpcSend`, kind `client`) and [rpcStream](#helpesb-client-rpcstream)
+  // (`rpcStream`, kind `client`), and each request handled by
+  // [rpcReceive](#helpesb-client-rpcreceive) (`rpcReceive`, kind `server`).
+  // The span context travels in the `trace` meta field of requests, replies,
+  // and any message sent in regards to (`inre`) a request being handled, so
+  // that a trace follows the calls across services.
+  //
+  // Metrics reported:
+  // * `esb.messages.sent`/`esb.messages.received` counters, by message type.
+  // * `esb.rpc.latency` histogram (milliseconds) and `esb.rpc.failures`
+  //   counter for outgoing requests, including login and subscriptions, and
+  //   the `esb.rpc.retries` counter.
+  // * `esb.rpc.handler.duration` histogram and `esb.rpc.handler.failures`
+  //   counter for requests handled by `rpcReceive`, and the
+  //   `esb.rpc.handler.rejected` counter for requests turned away as `BUSY`,
+  //   and the `esb.rpc.handler.duplicates` counter for requests answered by
+  //   the `idempotency` option.
+  // * `esb.reconnects`, `esb.heartbeats`, and `esb.heartbeats.missed`
+  //   counters.
+  // * `esb.packets.malformed` and `esb.packets.oversize` counters for packets
+  //   that were discarded.
+  // * `esb.heartbeat.latency` histogram (milliseconds, see the `heartbeat`
+  //   [client option](#helpesb-client-constructor)).
+  HelpEsb.Telemetry = function() {};
+
+  // ### HelpEsb.Telemetry.startSpan
+  // Starts a span with the given name.  Options are the `kind` (`client` or
+  // `server`), the `parent` span context (`{traceId, spanId}`) if continuing
+  // a trace, initial `attributes`, and the ESB `message` the span is for.
+  // Returns an object with the same methods as `HelpEsb.Span`.
+  HelpEsb.Telemetry.prototype.startSpan = function(name, options) {
+    return new HelpEsb.Span(name, options);
+  };
+
+  // ### HelpEsb.Telemetry.increment
+  // Increments the counter with the given name by the value, tagged with the
+  // given attributes.
+  HelpEsb.Telemetry.prototype.increment = _.noop;
+
+  // ### HelpEsb.Telemetry.histogram
+  // Records the value in the histogram with the given name, tagged with the
+  // given attributes.
+  HelpEsb.Telemetry.prototype.histogram = _.noop;
+
+  // ## HelpEsb.Span
+  // A unit of work in a trace, as returned by
+  // [startSpan](#helpesb-telemetry-startspan).
+
+  // ### HelpEsb.Span *constructor*
+  // Starts the span, joining the trace of the `parent` context if given.
+  HelpEsb.Span = function(name, options) {
+    options = options || {};
+
+    this.name = name;
+    this.kind = options.kind;
+    this.attributes = _.clone(options.attributes || {});
+    this.traceId = objectPath.get(options, 'parent.traceId') || uuid.v4();
+    this.spanId = uuid.v4();
+    this.parentSpanId = objectPath.get(options, 'parent.spanId', null);
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.error = null;
+  };
+
+  // ### HelpEsb.Span.context
+  // Returns the context that is sent along with messages to continue the
+  // trace.
+  HelpEsb.Span.prototype.context = function() {
+    return {traceId: this.traceId, spanId: this.spanId};
+  };
+
+  // ### HelpEsb.Span.setAttribute
+  // Sets an attribute describing the span.
+  HelpEsb.Span.prototype.setAttribute = function(key, value) {
+    this.attributes[key] = value;
+  };
+
+  // ### HelpEsb.Span.recordError
+  // Records the error that failed the span.
+  HelpEsb.Span.prototype.recordError = function(error) {
+    this.error = error;
+  };
+
+  // ### HelpEsb.Span.run
+  // Runs the function within the span, returning its result.  Adapters whose
+  // tracing relies on the span being active while the work is done (like
+  // newrelic's transactions) override this.
+  HelpEsb.Span.prototype.run = function(fn) {
+    return fn();
+  };
+
+  // ### HelpEsb.Span.end
+  // Ends the span.
+  HelpEsb.Span.prototype.end = function() {
+    this.endTime = Date.now();
+  };
+
+  // ## HelpEsb.NewRelicTelemetry
+  // Telemetry adapter for the newrelic agent.  Requests handled by
+  // [rpcReceive](#helpesb-client-rpcreceive) are wrapped in a background
+  // transaction named after the group, and errors are reported to newrelic.
+  // Metrics are recorded as custom metrics.
+  //
+  //     var client = new HelpEsb.Client(uri, {
+  //       telemetry: new HelpEsb.NewRelicTelemetry(require('newrelic'))
+  //     });
+  HelpEsb.NewRelicTelemetry = function(newrelic) {
+    HelpEsb.Telemetry.call(this);
+    this._newrelic = newrelic;
+  };
+
+  util.inherits(HelpEsb.NewRelicTelemetry, HelpEsb.Telemetry);
+
+  // ### HelpEsb.NewRelicTelemetry.startSpan
+  // Server spans run in a newrelic background transaction that ends with the
+  // span.  Client spans are not reported to newrelic.
+  HelpEsb.NewRelicTelemetry.prototype.startSpan = function(name, options) {
+    var span = HelpEsb.Telemetry.prototype.startSpan.call(this, name, options);
+    if (span.kind !== 'server') {
+      return span;
+    }
+
+    var newrelic = this._newrelic;
+    var tracer = newrelic.agent.tracer;
+    var message = options.message;
+
+    span.run = function(fn) {
+      return newrelic.createBackgroundTransaction(
+        span.attributes.group,
+        function() {
+          span.recordError = tracer.bindFunction(function(error) {
+            HelpEsb.Span.prototype.recordError.call(span, error);
+            newrelic.noticeError(
+              error instanceof Error ? error : ('' + error),
+              message && message.toJSON()
+            );
+          }, tracer.segment);
+
+          span.end = tracer.bindFunction(function() {
+            HelpEsb.Span.prototype.end.call(span);
+            newrelic.endTransaction();
+          }, tracer.segment);
+
+          return fn();
+        }
+      )();
+    };
+
+    return span;
+  };
+
+  // ### HelpEsb.NewRelicTelemetry.increment
+  // Increments the `Custom/<name>` metric.
+  HelpEsb.NewRelicTelemetry.prototype.increment = function(name, value) {
+    this._newrelic.incrementMetric('Custom/' + name, value);
+  };
+
+  // ### HelpEsb.NewRelicTelemetry.histogram
+  // Records the value in the `Custom/<name>` metric.
+  HelpEsb.NewRelicTelemetry.prototype.histogram = function(name, value) {
+    this._newrelic.recordMetric('Custom/' + name, value);
+  };
+
+  // ## HelpEsb.MemoryStore
+  // The default store for the replies remembered by the `idempotency` option
+  // of [rpcReceive](#helpesb-client-rpcreceive).  It keeps them in memory, so
+  // duplicates are only detected within a single process.
+  //
+  // Other stores implement the same two methods, returning promises (or
+  // plain values), and can be backed by anything shared between processes.
+  //
+  //     var redisStore = {
+  //       get: function(key) {
+  //         return redis.getAsync(key).then(JSON.parse);
+  //       },
+  //       set: function(key, value, ttl) {
+  //         return redis.setAsync(key, JSON.stringify(value), 'PX', ttl);
+  //       }
+  //     };
+
+  // ### HelpEsb.MemoryStore *constructor*
+  // Creates an empty store.
+  HelpEsb.MemoryStore = function() {
+    this._entries = {};
+    this._lastSweep = Date.now();
+  };
+
+  // ### HelpEsb.MemoryStore.get
+  // Returns a promise for the value stored under the key, or `undefined` if
+  // there is none or it has expired.
+  HelpEsb.MemoryStore.prototype.get = function(key) {
+    var entry = this._entries[key];
+    if (entry && entry.expires <= Date.now()) {
+      delete this._entries[key];
+      entry = null;
+    }
+
+    return Promise.resolve(entry ? entry.value : undefined);
+  };
+
+  // ### HelpEsb.MemoryStore.set
+  // Stores the value under the key for `ttl` milliseconds.  Returns a
+  // promise that is resolved once stored.
+  HelpEsb.MemoryStore.prototype.set = function(key, value, ttl) {
+    var now = Date.now();
+    this._entries[key] = {value: value, expires: now + ttl};
+
+    // Expired entries that are never looked up again are swept out every so
+    // often so that the store doesn't grow forever.
+    if (now - this._lastSweep >= 1000) {
+      this._lastSweep = now;
+      this._entries = _.omit(this._entries, function(entry) {
+        return entry.expires <= now;
+      });
+    }
+
+    return Promise.resolve();
+  };
+
   // ## HelpEsb.Message
   // A data object representing an ESB message.  Also provides some convenience
   // methods.
+  //
+  // The data can contain Buffers for binary payloads.  The client sends them
+  // as `{"$buffer": "<base64>"}` objects and turns them back into Buffers on
+  // receipt, so `get` returns them as they were sent.
+  //
+  //     client.send('attachments', {name: 'logo.png', file: buffer});
 
   // ### HelpEsb.Message *constructor*
   // Initiates the message based on the given message object.  Initializes the
@@ -612,6 +3336,8 @@
       {id: uuid.v4(), ts: Math.floor(Date.now() / 1000)},
       message.meta
     );
+    this._acknowledge = null;
+    this._acknowledgement = null;
   };
 
   // ### HelpEsb.Message.get
@@ -651,5 +3377,120 @@
     return {meta: this._meta, data: this._data};
   };
 
+  // ### HelpEsb.Message.ack
+  // Acknowledges a message received on a subscription with manual
+  // acknowledgements (see [subscribe](#helpesb-client-subscribe)) so that the
+  // ESB considers it delivered.  Returns a promise of the acknowledgement
+  // being sent.  Only the first `ack` or `nack` of a message counts, and
+  // messages that don't require acknowledgement ignore them.
+  HelpEsb.Message.prototype.ack = function() {
+    return this._settleDelivery(true, false);
+  };
+
+  // ### HelpEsb.Message.nack
+  // Rejects a message like [ack](#helpesb-message-ack) acknowledges it.  The
+  // ESB delivers the message again unless the `requeue` option is `false`,
+  // e.g., for messages that can never be processed.
+  //
+  //     message.nack({requeue: false});
+  HelpEsb.Message.prototype.nack = function(options) {
+    return this._settleDelivery(
+      false,
+      _.extend({requeue: true}, options).requeue
+    );
+  };
+
+  // Sends the first acknowledgement or rejection of the message, if it needs
+  // one.
+  HelpEsb.Message.prototype._settleDelivery = function(ack, requeue) {
+    if (this._acknowledgement === null) {
+      this._acknowledgement = this._acknowledge ?
+        this._acknowledge(ack, requeue) :
+        Promise.resolve();
+    }
+
+    return this._acknowledgement;
+  };
+
+  // ## Errors
+  // All errors created by the client are instances of these classes so that
+  // they can be distinguished from each other (e.g., with bluebird's filtered
+  // `catch`).
+
+  // Creates an error class with the given name that inherits from `Error` (or
+  // the given parent error class).  The constructor takes the error message
+  // and an optional object of extra properties to set on the error.
+  var defineError = function(name, Parent) {
+    var ErrorClass = function(message, properties) {
+      Error.call(this);
+      Error.captureStackTrace(this, ErrorClass);
+      this.name = name;
+      this.message = message;
+      _.extend(this, properties);
+    };
+
+    util.inherits(ErrorClass, Parent || Error);
+
+    return ErrorClass;
+  };
+
+  // ### HelpEsb.QueueOverflowError
+  // A message was dropped from the outbound queue because the queue was full
+  // or the message was too old.  The `reason` property is `maxSize` or
+  // `maxAge` and `esbMessage` is the dropped message.
+  HelpEsb.QueueOverflowError = defineError('QueueOverflowError');
+
+  // ### HelpEsb.ClientClosedError
+  // The client was closed (or gave up reconnecting) while the operation was
+  // still pending.
+  HelpEsb.ClientClosedError = defineError('ClientClosedError');
+
+  // ### HelpEsb.RpcTimeoutError
+  // No response arrived for an RPC request in time.  Has the `messageId` and
+  // `group` of the request as well as the `timeout` that was exceeded.  This
+  // extends bluebird's `Promise.TimeoutError`, so existing handlers for that
+  // keep working.
+  HelpEsb.RpcTimeoutError = defineError(
+    'RpcTimeoutError',
+    Promise.TimeoutError
+  );
+
+  // ### HelpEsb.RpcError
+  // An RPC request was answered with a failure.  Besides the `message`, the
+  // error has the `code` and `details` sent by the other service, the
+  // `remoteName` of the error there (and its `remoteStack`, if the service
+  // exposes stacks), and the `request` and `response` messages.
+  //
+  // Throw one from an [rpcReceive](#helpesb-client-rpcreceive) handler to
+  // reply with a specific code and details.
+  HelpEsb.RpcError = defineError('RpcError');
+
+  // ### HelpEsb.ValidationError
+  // A message didn't match the schema registered for its group.  The `code`
+  // is `VALIDATION_FAILED` and the `details` have the `group` and the list of
+  // `errors`, each with the `path` to the invalid value and a `message`.
+  HelpEsb.ValidationError = defineError('ValidationError');
+
+  // ### HelpEsb.BusyError
+  // An [rpcReceive](#helpesb-client-rpcreceive) handler was at its
+  // concurrency limit and couldn't take the request.  The `code` is `BUSY`.
+  HelpEsb.BusyError = defineError('BusyError');
+
+  // ### HelpEsb.AuthenticationError
+  // The ESB rejected the client's login.  This is a `HelpEsb.RpcError`, so it
+  // has the `code` and `details` of the rejection as well as the login
+  // `request` and `response` messages.
+  HelpEsb.AuthenticationError = defineError(
+    'AuthenticationError',
+    HelpEsb.RpcError
+  );
+
+  // ### HelpEsb.PacketTooLargeError
+  // A packet from the ESB exceeded the client's `maxPacketSize` (or its
+  // compressed data would have once decompressed) and was discarded.  Has the
+  // `size` seen (the packet may have been even longer) and the
+  // `maxPacketSize`.
+  HelpEsb.PacketTooLargeError = defineError('PacketTooLargeError');
+
   return HelpEsb;
 }));
@@ -0,0 +1,411 @@
+(function(root, factory) {
+  'use strict';
+
+  // The recording helpers depend on the client for the message format and
+  // register a `replay://` transport with it.
+  factory(
+    exports,
+    require('./help-esb'),
+    require('events').EventEmitter,
+    require('util'),
+    require('bluebird'),
+    require('uuid'),
+    require('lodash')
+  );
+}(this, function(
+  HelpEsbRecording,
+  HelpEsb,
+  EventEmitter,
+  util,
+  Promise,
+  uuid,
+  _
+) {
+  'use strict';
+
+  // ## HelpEsbRecording.Recorder
+  // Records the messages a client sends and receives as newline-delimited
+  // JSON, one entry per line with the time the message was seen (`at`, in
+  // milliseconds), its `direction` (`inbound` or `outbound`), and the
+  // `message` itself.
+  //
+  //     var Recording = require('help-esb/recording');
+  //     var recorder = new Recording.Recorder(
+  //       fs.createWriteStream('traffic.ndjson')
+  //     );
+  //     recorder.attach(client);
+  //
+  // Recordings can be replayed with a
+  // [Player](#helpesbrecording-player) and turned into call trees with
+  // `HelpEsbCallTree.Recorder.load`.
+
+  // ### HelpEsbRecording.Recorder *constructor*
+  // Creates a recorder writing to the given writable stream (e.g., a file).
+  HelpEsbRecording.Recorder = function(stream) {
+    this._stream = stream;
+  };
+
+  // ### HelpEsbRecording.Recorder.attach
+  // Records every message the client sends and receives from now on as it
+  // passes through the client's middleware.
+  HelpEsbRecording.Recorder.prototype.attach = function(client) {
+    client.use({
+      outbound: function(message, next) {
+        this.record('outbound', message);
+
+        return next(message);
+      }.bind(this),
+      inbound: function(message, next) {
+        this.record('inbound', message);
+
+        return next(message);
+      }.bind(this)
+    });
+
+    return this;
+  };
+
+  // ### HelpEsbRecording.Recorder.record
+  // Writes a single message (a `HelpEsb.Message` or its JSON form) with the
+  // given direction, timed now.  Buffers in the data are written the same
+  // way the client sends them over the wire.
+  HelpEsbRecording.Recorder.prototype.record = function(direction, message) {
+    var json = message instanceof HelpEsb.Message ?
+      message.toJSON() :
+      message;
+
+    this._stream.write(JSON.stringify({
+      at: Date.now(),
+      direction: direction,
+      message: {meta: json.meta, data: HelpEsb.encodeBuffers(json.data)}
+    }) + '\n');
+  };
+
+  // ## HelpEsbRecording.Player
+  // Replays a recording into a client without a broker around, so that an
+  // incident captured with a [Recorder](#helpesbrecording-recorder) can be
+  // reproduced locally against the same `rpcReceive` handlers.
+  //
+  //     var player = new Recording.Player(
+  //       fs.readFileSync('traffic.ndjson', 'utf-8'),
+  //       {speed: 10}
+  //     );
+  //     var client = player.client();
+  //     client.login('orders');
+  //     client.rpcReceive('orders.create', createOrder);
+  //     player.play().then(function(outbound) {
+  //       // The messages the client sent during the replay.
+  //     });
+  //
+  // The player stands in for the ESB: it accepts the client's login and
+  // subscriptions and delivers the recorded inbound messages to it at the
+  // pace they were recorded.  Recorded replies to requests the client sent
+  // (e.g., to other services its handlers call) are held until the client
+  // sends the matching request again and are then delivered in reply to it,
+  // after the latency that was recorded.  Requests are matched up with the
+  // recorded ones by group, in order.
+
+  // ### HelpEsbRecording.Player *constructor*
+  // Takes the recording, as newline-delimited JSON or a list of entries.
+  // Lines that are plain messages instead of recording entries are treated
+  // as inbound and timed by their `ts`.  Supported options:
+  // * `speed`: How many times faster than recorded to replay (default 1).
+  //   Use `Infinity` to deliver the messages as fast as possible.
+  // * `settle`: Milliseconds to wait for the client's handlers after the
+  //   last delivery before the replay is done (default 100).
+  //
+  // Every `sendMessage` packet the client sends is emitted as an `outbound`
+  // event with the `HelpEsb.Message`.
+  HelpEsbRecording.Player = function(recording, options) {
+    EventEmitter.call(this);
+
+    this._options = _.extend({speed: 1, settle: 100}, options);
+    this._entries = parse(recording);
+    this._id = uuid.v4();
+    this.uri = 'replay://' + this._id;
+    this.outbound = [];
+
+    this._channelId = uuid.v4();
+    this._connection = null;
+    this._loggedIn = Promise.defer();
+    this._playing = false;
+    this._deliveries = [];
+    this._ids = {};
+
+    // Recorded requests the client hasn't sent again yet, by group.
+    this._requests = _.groupBy(
+      this._entries.filter(function(entry) {
+        return entry.direction === 'outbound' && isPayload(entry.message);
+      }),
+      function(entry) {
+        return JSON.stringify(entry.message.meta.group);
+      }
+    );
+
+    players[this._id] = this;
+  };
+
+  util.inherits(HelpEsbRecording.Player, EventEmitter);
+
+  // ### HelpEsbRecording.Player.client
+  // Creates a `HelpEsb.Client` connected to the player, passing on the given
+  // client options.
+  HelpEsbRecording.Player.prototype.client = function(options) {
+    return new HelpEsb.Client(this.uri, options);
+  };
+
+  // ### HelpEsbRecording.Player.play
+  // Replays the recording once the client has logged in.  Returns a promise
+  // that is resolved with the messages the client sent during the replay once
+  // every recorded message was delivered and the client has settled.
+  // Recorded replies to requests the client never sent again are dropped.
+  HelpEsbRecording.Player.prototype.play = function() {
+    var speed = this._options.speed;
+    var inbound = this._entries.filter(function(entry) {
+      return entry.direction === 'inbound' &&
+        isPayload(entry.message) &&
+        !this._repliesToRequest(entry.message);
+    }, this);
+    var start = inbound.length ? inbound[0].at : 0;
+
+    return this._loggedIn.promise.then(function() {
+      this._playing = true;
+      this._deliveries = inbound.map(function(entry) {
+        return Promise.delay(delay(entry.at - start, speed))
+          .then(this._deliver.bind(this, entry.message));
+      }, this);
+
+      return this._settle();
+    }.bind(this)).then(function() {
+      this._playing = false;
+
+      return this.outbound;
+    }.bind(this));
+  };
+
+  // ### HelpEsbRecording.Player.close
+  // Unregisters the player.  Shut the client down first; it can't reconnect
+  // to a closed player.
+  HelpEsbRecording.Player.prototype.close = function() {
+    this._playing = false;
+    delete players[this._id];
+  };
+
+  // ---
+  // ### Private Methods
+
+  // Creates a new connection for a client connecting to the player.
+  HelpEsbRecording.Player.prototype._connect = function() {
+    this._connection = new ReplayConnection(this);
+
+    return this._connection;
+  };
+
+  // Waits for every delivery, including the ones added along the way for
+  // replies, and then for the client to settle, repeating until nothing new
+  // was delivered.
+  HelpEsbRecording.Player.prototype._settle = function() {
+    var count = this._deliveries.length;
+
+    return Promise.all(this._deliveries.slice())
+      .delay(this._options.settle)
+      .then(function() {
+        if (this._deliveries.length > count) {
+          return this._settle();
+        }
+      }.bind(this));
+  };
+
+  // Handles a packet the client sent, playing the part of the ESB.
+  HelpEsbRecording.Player.prototype._handlePacket = function(message) {
+    var meta = message.meta || {};
+    switch (meta.type) {
+      case 'login':
+        this._reply(message, {channelId: this._channelId});
+        this._loggedIn.resolve();
+        break;
+
+      case 'subscribe':
+      case 'unsubscribe':
+        this._reply(message, {});
+        break;
+
+      case 'sendMessage':
+        this._handleOutbound(new HelpEsb.Message({
+          meta: meta,
+          data: HelpEsb.decodeBuffers(message.data)
+        }));
+        if (meta.confirm) {
+          this._reply(message, {});
+        }
+        break;
+    }
+  };
+
+  // Keeps track of a message the client sent, matching it up with the next
+  // recorded request to the same group and scheduling the recorded replies to
+  // that request.
+  HelpEsbRecording.Player.prototype._handleOutbound = function(message) {
+    this.outbound.push(message);
+    this.emit('outbound', message);
+
+    var requests = this._requests[JSON.stringify(message.getMeta('group'))];
+    var request = requests && requests.shift();
+    if (!request) {
+      return;
+    }
+
+    this._ids[request.message.meta.id] = message.getMeta('id');
+    if (!this._playing) {
+      return;
+    }
+
+    this._entries.filter(function(entry) {
+      return entry.direction === 'inbound' &&
+        isPayload(entry.message) &&
+        entry.message.meta.replyTo === request.message.meta.id;
+    }).forEach(function(entry) {
+      this._deliveries.push(
+        Promise.delay(delay(entry.at - request.at, this._options.speed))
+          .then(this._deliver.bind(this, entry.message))
+      );
+    }, this);
+  };
+
+  // Whether the message is a recorded reply to a recorded request.
+  HelpEsbRecording.Player.prototype._repliesToRequest = function(message) {
+    var replyTo = message.meta.replyTo;
+
+    return _.any(this._entries, function(entry) {
+      return entry.direction === 'outbound' &&
+        entry.message.meta.id === replyTo;
+    });
+  };
+
+  // Delivers a recorded message to the client, pointing the references to
+  // recorded requests at the ones the client sent during the replay.
+  HelpEsbRecording.Player.prototype._deliver = function(message) {
+    if (!this._playing) {
+      return;
+    }
+
+    var meta = _.clone(message.meta);
+    _.each(['replyTo', 'inre'], function(key) {
+      if (_.has(this._ids, meta[key])) {
+        meta[key] = this._ids[meta[key]];
+      }
+    }, this);
+    if (_.has(meta, 'channel')) {
+      meta.channel = this._channelId;
+    }
+
+    this._write({meta: meta, data: message.data});
+  };
+
+  // Replies successfully to a login/(un)subscribe request or a confirmed
+  // message.
+  HelpEsbRecording.Player.prototype._reply = function(request, data) {
+    this._write({
+      meta: {
+        type: request.meta.type + '-reply',
+        replyTo: request.meta.id,
+        result: 'SUCCESS'
+      },
+      data: data
+    });
+  };
+
+  // Sends a message to the client over its current connection.
+  HelpEsbRecording.Player.prototype._write = function(message) {
+    var connection = this._connection;
+    var packet = JSON.stringify(new HelpEsb.Message(message)) + '\n';
+
+    setImmediate(function() {
+      if (!connection.destroyed) {
+        connection.emit('data', packet);
+      }
+    });
+  };
+
+  // ---
+  // ### Private Functions
+
+  // The players that clients can connect to, by id.
+  var players = {};
+
+  // Connects clients to the player named by the `replay://` URI's host.
+  HelpEsb.transports.replay = function(uri) {
+    if (!_.has(players, uri.hostname)) {
+      throw new Error('Unknown replay: ' + uri.href);
+    }
+
+    return players[uri.hostname]._connect();
+  };
+
+  // Adapts the player to the socket-like interface the client expects (see
+  // `HelpEsb.transports`).  Every packet written is handed to the player.
+  var ReplayConnection = function(player) {
+    EventEmitter.call(this);
+
+    this.destroyed = false;
+    this._player = player;
+    this._buffer = '';
+    setImmediate(this.emit.bind(this, 'connect'));
+  };
+
+  util.inherits(ReplayConnection, EventEmitter);
+
+  ReplayConnection.prototype.write = function(data, cb) {
+    if (this.destroyed) {
+      (cb || _.noop)(new Error('Replay connection is closed'));
+      return true;
+    }
+
+    var packets = (this._buffer + data).split('\n');
+    this._buffer = packets.pop();
+    packets.forEach(function(packet) {
+      this._player._handlePacket(JSON.parse(packet));
+    }, this);
+    setImmediate(cb || _.noop);
+
+    return true;
+  };
+
+  ReplayConnection.prototype.end = function() {
+    this.destroy();
+  };
+
+  ReplayConnection.prototype.destroy = function() {
+    if (!this.destroyed) {
+      this.destroyed = true;
+      setImmediate(this.emit.bind(this, 'close'));
+    }
+  };
+
+  // Parses a recording into its entries, in the order they were seen.
+  var parse = function(recording) {
+    var entries = _.isString(recording) ?
+      recording.split('\n').filter(function(line) {
+        return line.trim() !== '';
+      }).map(JSON.parse) :
+      recording;
+
+    return _.sortBy(entries.map(function(entry) {
+      return _.has(entry, 'message') ?
+        entry :
+        {at: (entry.meta.ts || 0) * 1000, direction: 'inbound', message: entry};
+    }), 'at');
+  };
+
+  // Whether the recorded message is a payload rather than part of the
+  // protocol (logins, subscriptions, heartbeats, ...).
+  var isPayload = function(message) {
+    return (message.meta || {}).type === 'sendMessage';
+  };
+
+  // How long to wait to replay something that happened after the given
+  // number of milliseconds at the given speed.
+  var delay = function(ms, speed) {
+    return Math.max(0, ms / speed);
+  };
+}));
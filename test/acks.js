@@ -0,0 +1,172 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('Delivery guarantees', function() {
+  var esb = helpers.esb();
+  beforeEach(esb.start);
+  afterEach(esb.stop);
+
+  describe('sendConfirmed', function() {
+    it('resolves once the ESB has the message', function() {
+      var sender = esb.client();
+      var receiver = esb.client();
+      sender.login('sender');
+      receiver.login('receiver');
+
+      return receiver.subscribe('billing').then(function() {
+        return Promise.all([
+          helpers.next(receiver, 'group.billing'),
+          sender.sendConfirmed('billing', {invoice: 1})
+        ]);
+      }).spread(function(received) {
+        assert.equal(received[0].get('invoice'), 1);
+        assert(!received[0].hasMeta('confirm'));
+      });
+    });
+
+    it('rejects when the ESB refuses the message', function() {
+      var sender = esb.client();
+      sender.login('sender');
+
+      return sender.subscribe('unrelated').then(function() {
+        esb.server.failNext('sendMessage', 'Refused');
+
+        return helpers.rejection(sender.sendConfirmed('billing', {}));
+      }).then(function(error) {
+        assert(error instanceof HelpEsb.RpcError);
+        assert.equal(error.message, 'Refused');
+      });
+    });
+
+    it('sends the message again after losing the connection', function() {
+      var sender = esb.client();
+      var receiver = esb.client();
+      var received = [];
+      var sent = [];
+      sender.login('sender');
+      receiver.login('receiver');
+      receiver.on('group.billing', function(message) {
+        received.push(message);
+      });
+      esb.server.on('packet', function(message, connection) {
+        if (message.meta.confirm) {
+          sent.push(message.meta.id);
+          if (sent.length === 1) {
+            esb.server.dropConnections(connection);
+          }
+        }
+      });
+
+      return receiver.subscribe('billing').then(function() {
+        return sender.sendConfirmed('billing', {invoice: 1});
+      }).then(function() {
+        return Promise.delay(50);
+      }).then(function() {
+        assert.equal(sent.length, 2);
+        assert.equal(sent[0], sent[1]);
+        assert.equal(received.length, 1);
+      });
+    });
+  });
+
+  describe('manual acknowledgements', function() {
+    var client;
+
+    beforeEach(function() {
+      client = esb.client();
+      client.login('worker');
+
+      return client.subscribe('jobs', {ack: 'manual'});
+    });
+
+    it('forgets about acknowledged messages', function() {
+      var received = helpers.next(client, 'group.jobs');
+      esb.server.send({meta: {group: 'jobs'}, data: {job: 1}});
+
+      return received.spread(function(message) {
+        assert(message.getMeta('requiresAck'));
+        assert.equal(esb.server.unacked('worker').length, 1);
+
+        return message.ack();
+      }).then(function() {
+        return helpers.until(function() {
+          return esb.server.unacked('worker').length === 0;
+        });
+      });
+    });
+
+    it('redelivers rejected messages', function() {
+      var deliveries = [];
+      client.on('group.jobs', function(message) {
+        deliveries.push(message);
+        if (deliveries.length === 1) {
+          message.nack();
+        } else {
+          message.ack();
+        }
+      });
+      esb.server.send({meta: {group: 'jobs'}, data: {job: 1}});
+
+      return helpers.until(function() {
+        return deliveries.length === 2;
+      }).then(function() {
+        assert(deliveries[1].getMeta('redelivered'));
+        assert.equal(deliveries[1].get('job'), 1);
+      });
+    });
+
+    it('drops rejected messages that are not to be requeued', function() {
+      var received = helpers.next(client, 'group.jobs');
+      esb.server.send({meta: {group: 'jobs'}, data: {job: 1}});
+
+      return received.spread(function(message) {
+        return message.nack({requeue: false});
+      }).then(function() {
+        return helpers.until(function() {
+          return esb.server.unacked('worker').length === 0;
+        });
+      });
+    });
+
+    it('redelivers unacknowledged messages after reconnecting', function() {
+      var received = helpers.next(client, 'group.jobs');
+      esb.server.send({meta: {group: 'jobs'}, data: {job: 1}});
+
+      return received.then(function() {
+        esb.server.dropConnections();
+
+        return helpers.next(client, 'group.jobs');
+      }).spread(function(message) {
+        assert(message.getMeta('redelivered'));
+        assert.equal(message.get('job'), 1);
+      });
+    });
+
+    it('ignores acknowledgements of messages that need none', function() {
+      var other = esb.client();
+      var packets = [];
+      other.login('other');
+      esb.server.on('packet', function(message) {
+        packets.push(message.meta.type);
+      });
+
+      return other.subscribe('events').then(function() {
+        var received = helpers.next(other, 'group.events');
+        esb.server.send({meta: {group: 'events'}, data: {}});
+
+        return received;
+      }).spread(function(message) {
+        assert(!message.hasMeta('requiresAck'));
+
+        return message.ack();
+      }).then(function() {
+        assert(!_.contains(packets, 'ack'));
+      });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('Authentication', function() {
+  var esb = helpers.esb({
+    tokens: ['t0', 't1', 't2', 't3', 't4', 't5'],
+    secrets: {billing: 's3cret'}
+  });
+  beforeEach(esb.start);
+  afterEach(esb.stop);
+
+  it('logs in with a bearer token', function() {
+    return esb.client().login('orders', {token: 't0'});
+  });
+
+  it('rejects unknown tokens', function() {
+    return helpers.rejection(
+      esb.client().login('orders', {token: 'nope'})
+    ).then(function(error) {
+      assert(error instanceof HelpEsb.AuthenticationError);
+      assert.equal(error.code, 'UNAUTHORIZED');
+    });
+  });
+
+  it('answers the challenge for a shared secret', function() {
+    return esb.client().login('billing', {secret: 's3cret'});
+  });
+
+  it('rejects the wrong shared secret', function() {
+    return helpers.rejection(
+      esb.client().login('billing', {secret: 'guess'})
+    ).then(function(error) {
+      assert(error instanceof HelpEsb.AuthenticationError);
+    });
+  });
+
+  it('logs in again with a fresh token when told to', function() {
+    var client = esb.client();
+    var issued = 0;
+
+    return client.login('orders', function() {
+      return 't' + issued++;
+    }).then(function() {
+      esb.server.expireCredentials();
+
+      return helpers.until(function() {
+        return issued === 2 && client.state === 'authenticated';
+      });
+    }).then(function() {
+      return client.subscribe('orders');
+    });
+  });
+
+  it('logs in again before the token expires', function() {
+    var client = esb.client();
+    var logins = [];
+
+    return client.login('orders', function() {
+      logins.push(Date.now());
+
+      return Promise.resolve({token: 't' + logins.length, expiresIn: 600});
+    }).then(function() {
+      return helpers.until(function() {
+        return logins.length === 2;
+      });
+    }).then(function() {
+      // A tenth of the lifetime early.
+      assert(logins[1] - logins[0] < 600);
+    });
+  });
+
+  it('does not log in again right away for long-lived tokens', function() {
+    var client = esb.client();
+    var logins = 0;
+
+    return client.login('orders', function() {
+      logins++;
+
+      return {token: 't0', expiresIn: 30 * 24 * 60 * 60 * 1000};
+    }).delay(100).then(function() {
+      assert.equal(logins, 1);
+    });
+  });
+});
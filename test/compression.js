@@ -0,0 +1,115 @@
+'use strict';
+
+var assert = require('assert');
+var zlib = require('zlib');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('Compression', function() {
+  var esb = helpers.esb();
+  var packets;
+  beforeEach(function() {
+    packets = [];
+
+    return esb.start().then(function() {
+      esb.server.on('packet', function(message) {
+        if (message.meta.type === 'sendMessage') {
+          packets.push(message);
+        }
+      });
+    });
+  });
+  afterEach(esb.stop);
+
+  // Sends the data from a client with the given options to another client
+  // and returns a promise of the message as it was received.
+  var roundTrip = function(options, data) {
+    var sender = esb.client(options);
+    var receiver = esb.client();
+    sender.login('sender');
+    receiver.login('receiver');
+
+    return receiver.subscribe('blobs').then(function() {
+      var received = helpers.next(receiver, 'group.blobs');
+      sender.send('blobs', data);
+
+      return received;
+    }).spread(_.identity);
+  };
+
+  var large = {text: _.repeat('help ', 1000), bytes: Buffer.from('binary')};
+
+  _.each(['gzip', 'deflate'], function(encoding) {
+    it('compresses large data with ' + encoding, function() {
+      return roundTrip(
+        {compression: {encoding: encoding}},
+        large
+      ).then(function(message) {
+        assert.equal(packets[0].meta.encoding, encoding);
+        assert(_.isString(packets[0].data));
+        assert.equal(message.get('text'), large.text);
+        assert(message.get('bytes').equals(large.bytes));
+        assert(!message.hasMeta('encoding'));
+      });
+    });
+  });
+
+  it('leaves data below the threshold alone', function() {
+    var data = {small: true};
+
+    return roundTrip({compression: true}, data).then(function(message) {
+      assert(!_.has(packets[0].meta, 'encoding'));
+      assert.deepEqual(packets[0].data, {small: true});
+      assert(message.get('small'));
+    });
+  });
+
+  it('rejects unsupported encodings', function() {
+    assert.throws(function() {
+      esb.client({compression: {encoding: 'lzma'}});
+    }, /Unsupported compression encoding/);
+  });
+
+  describe('maxPacketSize', function() {
+    it('discards data that decompresses to too much', function() {
+      var client = esb.client({maxPacketSize: 1024});
+      client.login('receiver');
+
+      return client.subscribe('blobs').then(function() {
+        var error = helpers.next(client, 'type.error');
+        esb.server.send({
+          meta: {group: 'blobs', encoding: 'gzip'},
+          data: zlib.gzipSync(JSON.stringify(large)).toString('base64')
+        });
+
+        return error;
+      }).spread(function(error) {
+        assert(error instanceof HelpEsb.PacketTooLargeError);
+        assert.equal(client.stats.oversizePackets, 1);
+      });
+    });
+
+    it('discards packets that are too long', function() {
+      var client = esb.client({maxPacketSize: 1024});
+      client.login('receiver');
+
+      return client.subscribe('blobs').then(function() {
+        var error = helpers.next(client, 'type.error');
+        esb.server.send({meta: {group: 'blobs'}, data: large});
+
+        return error;
+      }).spread(function(error) {
+        assert(error instanceof HelpEsb.PacketTooLargeError);
+
+        // The rest of the stream is still read.
+        var received = helpers.next(client, 'group.blobs');
+        esb.server.send({meta: {group: 'blobs'}, data: {small: true}});
+
+        return received;
+      }).spread(function(message) {
+        assert(message.get('small'));
+      });
+    });
+  });
+});
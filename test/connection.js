@@ -0,0 +1,208 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('Connection', function() {
+  var esb = helpers.esb();
+  beforeEach(esb.start);
+  afterEach(esb.stop);
+
+  it('moves through the connection states', function() {
+    var client = esb.client();
+    var states = [];
+    client.on('state.change', function(state) {
+      states.push(state);
+    });
+
+    return client.login('states').then(function() {
+      assert.deepEqual(states, ['connected', 'authenticated']);
+    });
+  });
+
+  it('resubscribes after the connection is lost', function() {
+    var client = esb.client();
+    client.login('resubscribe');
+
+    return client.subscribe('orders').then(function() {
+      esb.server.dropConnections();
+
+      return helpers.next(client, 'state.authenticated');
+    }).then(function() {
+      return helpers.until(function() {
+        return esb.server.connections.length === 1 &&
+          _.has(esb.server.connections[0].subscriptions, 'orders');
+      });
+    }).then(function() {
+      var received = helpers.next(client, 'group.orders');
+      esb.server.send({meta: {group: 'orders'}, data: {id: 1}});
+
+      return received;
+    }).spread(function(message) {
+      assert.equal(message.get('id'), 1);
+    });
+  });
+
+  it('fails over to the next endpoint', function() {
+    var client = new HelpEsb.Client(
+      ['tcp://127.0.0.1:1', esb.server.uri],
+      {reconnect: {initialDelay: 10, jitter: 0}}
+    );
+    client.on('type.error', _.noop);
+    esb.clients.push(client);
+
+    return Promise.all([
+      helpers.next(client, 'endpoint.change'),
+      client.login('failover')
+    ]).spread(function(change) {
+      assert.deepEqual(change, [esb.server.uri, 'tcp://127.0.0.1:1']);
+      assert.equal(client.endpoint, esb.server.uri);
+    });
+  });
+
+  it('holds requests made while reconnecting', function() {
+    var client = esb.client({reconnect: {initialDelay: 100, jitter: 0}});
+
+    return client.login('backoff').then(function() {
+      esb.server.dropConnections();
+
+      return helpers.next(client, 'state.reconnecting');
+    }).then(function() {
+      return client.subscribe('late');
+    }).then(function() {
+      assert.equal(client.state, 'connected');
+      assert.deepEqual(client.errors, []);
+    });
+  });
+
+  it('reconnects when logging back in fails', function() {
+    var client = esb.client();
+
+    return client.login('relogin').then(function() {
+      esb.server.failNext('login', 'Not now');
+      esb.server.dropConnections();
+
+      return helpers.next(client, 'type.error');
+    }).spread(function(error) {
+      assert(error instanceof HelpEsb.AuthenticationError);
+
+      return helpers.next(client, 'state.authenticated');
+    }).then(function() {
+      return client.send('anywhere', {});
+    });
+  });
+
+  it('keeps backing off until it is logged back in', function() {
+    var client = esb.client({reconnect: {initialDelay: 40, jitter: 0}});
+    var attempts = [];
+    client.on('state.connecting', function() {
+      attempts.push(Date.now());
+      if (attempts.length < 3) {
+        esb.server.failNext('login');
+      }
+    });
+
+    return client.login('backoff').then(function() {
+      esb.server.failNext('login');
+      esb.server.dropConnections();
+
+      return helpers.until(function() {
+        return attempts.length === 3 && client.state === 'authenticated';
+      });
+    }).then(function() {
+      // The delays are 80ms and then 160ms rather than starting over at 40ms
+      // with every connection that was made.
+      assert(attempts[2] - attempts[1] >= 150);
+    });
+  });
+
+  it('closes after the maximum number of attempts', function() {
+    var client = esb.client({reconnect: {initialDelay: 10, maxAttempts: 2}});
+
+    return client.login('giveup').then(function() {
+      return esb.server.close();
+    }).then(function() {
+      return helpers.next(client, 'state.closed');
+    }).then(function() {
+      return helpers.rejection(client.send('anywhere', {}));
+    }).then(function(error) {
+      assert(error instanceof HelpEsb.ClientClosedError);
+    });
+  });
+
+  describe('heartbeat', function() {
+    it('reconnects when the heartbeats stop', function() {
+      var client = esb.client({heartbeat: {interval: 50, grace: 10}});
+
+      return client.login('heartbeat').then(function() {
+        return helpers.next(client, 'heartbeat.missed');
+      }).spread(function(since) {
+        assert(since >= 50);
+
+        return helpers.next(client, 'state.authenticated');
+      });
+    });
+
+    it('stops watching once the client is closed', function() {
+      var client = esb.client({heartbeat: {interval: 50, grace: 10}});
+
+      return client.login('heartbeat').then(function() {
+        var socket = client._socket;
+        client.close();
+        socket.emit('data', '{"meta": {"type": "heartbeat"}}\n');
+
+        return Promise.delay(100);
+      }).then(function() {
+        assert.equal(client.state, 'closed');
+        assert.equal(client._heartbeatTimer, null);
+      });
+    });
+  });
+
+  describe('shutdown', function() {
+    it('unsubscribes before closing the connection', function() {
+      var client = esb.client();
+      var packets = [];
+      esb.server.on('packet', function(message) {
+        packets.push(message.meta.type);
+      });
+      client.login('shutdown');
+      client.rpcReceive('jobs', _.constant({}));
+
+      return client.subscribe('jobs').then(function() {
+        return client.shutdown({timeout: 1000});
+      }).then(function(idle) {
+        assert(idle);
+        assert.equal(client.state, 'closed');
+        assert.equal(_.last(packets), 'unsubscribe');
+        assert.deepEqual(client.errors, []);
+      });
+    });
+
+    it('waits for the requests being handled', function() {
+      var client = esb.client();
+      var caller = esb.client();
+      var finished = false;
+      client.login('worker');
+      caller.login('caller');
+      client.rpcReceive('slow', function() {
+        return Promise.delay(100).then(function() {
+          finished = true;
+        });
+      });
+
+      return client.subscribe('slow').then(function() {
+        caller.rpcSend('slow', {}).catch(_.noop);
+
+        return helpers.next(client, 'group.slow');
+      }).then(function() {
+        return client.shutdown();
+      }).then(function() {
+        assert(finished);
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var HelpEsb = require('../help-esb');
+var testing = require('../testing');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+// Starts a testing server for a test and keeps track of the clients created
+// against it so that everything can be torn down again afterwards.
+//
+//     var esb = helpers.esb();
+//     beforeEach(esb.start);
+//     afterEach(esb.stop);
+exports.esb = function(serverOptions) {
+  var esb = {server: null, clients: []};
+
+  esb.start = function() {
+    esb.server = new testing.Server(serverOptions);
+    esb.clients = [];
+
+    return esb.server.listen();
+  };
+
+  esb.stop = function() {
+    esb.clients.forEach(function(client) {
+      if (client.state !== 'closed') {
+        client.close();
+      }
+    });
+
+    return esb.server.close();
+  };
+
+  // Creates a client connected to the server that reconnects quickly and
+  // collects the errors it emits in `client.errors`.
+  esb.client = function(options) {
+    var client = new HelpEsb.Client(
+      esb.server.uri,
+      _.extend(
+        {reconnect: {initialDelay: 10, jitter: 0}, rpcTimeout: 2000},
+        options
+      )
+    );
+    client.errors = [];
+    client.on('type.error', function(error) {
+      client.errors.push(error);
+    });
+    esb.clients.push(client);
+
+    return client;
+  };
+
+  return esb;
+};
+
+// Returns a promise of the arguments of the next time the event is emitted.
+exports.next = function(emitter, event) {
+  return new Promise(function(resolve) {
+    emitter.once(event, function() {
+      resolve(_.toArray(arguments));
+    });
+  });
+};
+
+// Returns a promise that is resolved once the condition holds, checking it
+// every few milliseconds.  It gives up after the timeout (default 1500
+// milliseconds) so that a failing test doesn't keep polling.
+exports.until = function(condition, timeout) {
+  var deadline = Date.now() + (timeout || 1500);
+  var check = function() {
+    if (condition()) {
+      return;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error('Timed out waiting for the condition');
+    }
+
+    return Promise.delay(5).then(check);
+  };
+
+  return Promise.try(check);
+};
+
+// Returns a promise that is rejected with the rejection of the given
+// promise, or fails if it is fulfilled instead.
+exports.rejection = function(promise) {
+  return promise.then(function(value) {
+    throw new Error('Expected a rejection, got ' + JSON.stringify(value));
+  }, _.identity);
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var helpers = require('./helpers');
+
+describe('Incoming messages', function() {
+  var esb = helpers.esb();
+  var client;
+
+  beforeEach(function() {
+    return esb.start().then(function() {
+      client = esb.client();
+      client.login('receiver');
+    });
+  });
+  afterEach(esb.stop);
+
+  // Returns a promise of the events the messages sent to the groups caused,
+  // by name, once they were all delivered.
+  var deliver = function(events, groups) {
+    var emitted = _.zipObject(events, _.map(events, _.constant(0)));
+    _.each(events, function(event) {
+      client.on(event, function() {
+        emitted[event]++;
+      });
+    });
+
+    var received = 0;
+    client.on('*', function(message) {
+      received += message.getMeta('type') === 'sendMessage' ? 1 : 0;
+    });
+    groups.forEach(function(group) {
+      esb.server.send({meta: {group: group}, data: {}});
+    });
+
+    return helpers.until(function() {
+      return received === groups.length;
+    }).return(emitted);
+  };
+
+  it('emits messages to the group patterns they match', function() {
+    return client.subscribe('orders.#').then(function() {
+      return deliver(
+        ['group.orders.created', 'group.orders.*', 'group.orders.#'],
+        ['orders.created', 'orders.eu.shipped']
+      );
+    }).then(function(emitted) {
+      assert.deepEqual(emitted, {
+        'group.orders.created': 1,
+        'group.orders.*': 1,
+        'group.orders.#': 2
+      });
+    });
+  });
+
+  it('emits messages for literal pattern groups once', function() {
+    return client.subscribe('orders.*').then(function() {
+      return deliver(['group.orders.*', '*.unhandled'], ['orders.*']);
+    }).then(function(emitted) {
+      assert.deepEqual(emitted, {'group.orders.*': 1, '*.unhandled': 0});
+    });
+  });
+
+  it('emits messages nobody listens for as unhandled', function() {
+    return client.subscribe('orders.created').then(function() {
+      return deliver(['*.unhandled'], ['orders.created']);
+    }).then(function(emitted) {
+      assert.deepEqual(emitted, {'*.unhandled': 1});
+    });
+  });
+
+  it('counts malformed packets and keeps reading', function() {
+    return client.subscribe('orders').then(function() {
+      var error = helpers.next(client, 'type.error');
+      esb.server.sendMalformed();
+
+      return error;
+    }).then(function() {
+      assert.equal(client.stats.parseFailures, 1);
+
+      return deliver(['group.orders'], ['orders']);
+    }).then(function(emitted) {
+      assert.deepEqual(emitted, {'group.orders': 1});
+    });
+  });
+
+  it('keeps reading when an error listener throws', function() {
+    var errors = 0;
+    client.removeAllListeners('type.error');
+    client.on('type.error', function() {
+      errors++;
+      throw new Error('Listener failed');
+    });
+
+    return client.subscribe('orders').then(function() {
+      esb.server.sendMalformed();
+      esb.server.sendMalformed('null');
+
+      return helpers.until(function() {
+        return errors === 2;
+      });
+    }).then(function() {
+      return deliver(['group.orders'], ['orders']);
+    }).then(function(emitted) {
+      assert.deepEqual(emitted, {'group.orders': 1});
+    });
+  });
+
+  it('passes messages through the inbound middleware', function() {
+    client.use({
+      inbound: function(message, next) {
+        return message.getMeta('group') === 'dropped' ?
+          Promise.resolve() :
+          next(message);
+      }
+    });
+
+    var dropped = 0;
+    client.on('group.dropped', function() {
+      dropped++;
+    });
+
+    return Promise.all([
+      client.subscribe('kept'),
+      client.subscribe('dropped')
+    ]).then(function() {
+      var kept = helpers.next(client, 'group.kept');
+      esb.server.send({meta: {group: 'dropped'}, data: {}});
+      esb.server.send({meta: {group: 'kept'}, data: {}});
+
+      return kept;
+    }).then(function() {
+      assert.equal(dropped, 0);
+    });
+  });
+});
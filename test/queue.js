@@ -0,0 +1,133 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('Outbound queue', function() {
+  var esb = helpers.esb();
+  beforeEach(esb.start);
+  afterEach(esb.stop);
+
+  // Logs both clients in, subscribes the receiver to the group, and takes
+  // the sender offline.
+  var offline = function(sender, receiver, group) {
+    sender.login('sender');
+    receiver.login('receiver');
+
+    return Promise.all([
+      sender.subscribe('unrelated'),
+      receiver.subscribe(group)
+    ]).then(function() {
+      esb.server.dropConnections(_.find(esb.server.connections, {
+        name: 'sender'
+      }));
+
+      return helpers.next(sender, 'state.reconnecting');
+    });
+  };
+
+  it('sends the messages queued while offline in order', function() {
+    var sender = esb.client({reconnect: {initialDelay: 50, jitter: 0}});
+    var receiver = esb.client();
+    var received = [];
+    receiver.on('group.events', function(message) {
+      received.push(message.get('n'));
+    });
+
+    return offline(sender, receiver, 'events').then(function() {
+      return Promise.all(_.range(5).map(function(n) {
+        return sender.send('events', {n: n});
+      }));
+    }).then(function() {
+      return helpers.until(function() {
+        return received.length === 5;
+      });
+    }).then(function() {
+      assert.deepEqual(received, [0, 1, 2, 3, 4]);
+    });
+  });
+
+  it('rejects messages beyond the maximum size', function() {
+    var sender = esb.client({
+      reconnect: {initialDelay: 50, jitter: 0},
+      queue: {maxSize: 1}
+    });
+    var receiver = esb.client();
+    var overflows = [];
+    sender.on('queue.overflow', function(overflow) {
+      overflows.push(_.pick(overflow, 'reason', 'policy'));
+    });
+
+    return offline(sender, receiver, 'events').then(function() {
+      return Promise.settle([
+        sender.send('events', {n: 1}),
+        sender.send('events', {n: 2})
+      ]);
+    }).spread(function(first, second) {
+      assert(first.isFulfilled());
+      assert(second.reason() instanceof HelpEsb.QueueOverflowError);
+      assert.deepEqual(overflows, [{reason: 'maxSize', policy: 'reject'}]);
+    });
+  });
+
+  it('drops the oldest messages with the drop-oldest policy', function() {
+    var sender = esb.client({
+      reconnect: {initialDelay: 50, jitter: 0},
+      queue: {maxSize: 1, overflow: 'drop-oldest'}
+    });
+    var receiver = esb.client();
+    var received = [];
+    receiver.on('group.events', function(message) {
+      received.push(message.get('n'));
+    });
+
+    return offline(sender, receiver, 'events').then(function() {
+      return Promise.all([
+        sender.send('events', {n: 1}),
+        sender.send('events', {n: 2})
+      ]);
+    }).then(function() {
+      return helpers.until(function() {
+        return received.length === 1;
+      });
+    }).then(function() {
+      assert.deepEqual(received, [2]);
+    });
+  });
+
+  it('rejects queued messages when the client is closed', function() {
+    var sender = esb.client({reconnect: {initialDelay: 50, jitter: 0}});
+    var receiver = esb.client();
+
+    return offline(sender, receiver, 'events').then(function() {
+      var queued = sender.send('events', {});
+      sender.close();
+
+      return helpers.rejection(queued);
+    }).then(function(error) {
+      assert(error instanceof HelpEsb.ClientClosedError);
+    });
+  });
+
+  it('rejects messages sent after the client is closed', function() {
+    var client = esb.client();
+
+    return client.login('closed').then(function() {
+      client.close();
+
+      return Promise.settle([
+        client.send('events', {}),
+        client.sendConfirmed('events', {}),
+        client.rpcSend('events', {}),
+        client.subscribe('events')
+      ]);
+    }).then(function(results) {
+      results.forEach(function(result) {
+        assert(result.reason() instanceof HelpEsb.ClientClosedError);
+      });
+    });
+  });
+});
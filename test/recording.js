@@ -0,0 +1,170 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var Recording = require('../recording');
+var helpers = require('./helpers');
+
+// A writable stream that keeps the lines written to it.
+var lines = function() {
+  var stream = {lines: []};
+  stream.write = function(data) {
+    stream.lines.push(JSON.parse(data));
+  };
+
+  return stream;
+};
+
+// The groups the messages were sent to.
+var groups = function(messages) {
+  return _.flatten(_.map(messages, function(message) {
+    return message.getMeta('group');
+  }));
+};
+
+describe('Recording', function() {
+  describe('Recorder', function() {
+    var esb = helpers.esb();
+    beforeEach(esb.start);
+    afterEach(esb.stop);
+
+    it('records the messages sent and received', function() {
+      var client = esb.client();
+      var stream = lines();
+      new Recording.Recorder(stream).attach(client);
+      client.login('recorded');
+
+      return client.subscribe('echo').then(function() {
+        var received = helpers.next(client, 'group.echo');
+        client.send('echo', {bytes: Buffer.from('hi')});
+
+        return received;
+      }).then(function() {
+        var payloads = _.filter(stream.lines, function(entry) {
+          return entry.message.meta.type === 'sendMessage';
+        });
+
+        assert.deepEqual(_.pluck(payloads, 'direction'), [
+          'outbound',
+          'inbound'
+        ]);
+        assert.equal(
+          payloads[0].message.meta.id,
+          payloads[1].message.meta.id
+        );
+        assert.deepEqual(
+          HelpEsb.decodeBuffers(payloads[1].message.data),
+          {bytes: Buffer.from('hi')}
+        );
+        assert(_.isNumber(payloads[0].at));
+      });
+    });
+
+    it('keeps the result of sending the message', function() {
+      var client = esb.client({
+        reconnect: {initialDelay: 50, jitter: 0},
+        queue: {maxSize: 1}
+      });
+      new Recording.Recorder(lines()).attach(client);
+
+      return client.login('recorded').then(function() {
+        esb.server.dropConnections();
+
+        return helpers.next(client, 'state.reconnecting');
+      }).then(function() {
+        return Promise.settle([
+          client.send('events', {}),
+          client.send('events', {})
+        ]);
+      }).spread(function(first, second) {
+        assert(first.isFulfilled());
+        assert(second.reason() instanceof HelpEsb.QueueOverflowError);
+      });
+    });
+  });
+
+  describe('Player', function() {
+    var player;
+    var client;
+
+    // Records a request to `orders.create` at 1000ms whose handler looked
+    // up the user, getting a reply 20ms later.
+    var recording = [
+      {
+        at: 1000,
+        direction: 'inbound',
+        message: {
+          meta: {type: 'sendMessage', id: 'req-1', group: 'orders.create'},
+          data: {user: 7}
+        }
+      },
+      {
+        at: 1005,
+        direction: 'outbound',
+        message: {
+          meta: {type: 'sendMessage', id: 'lookup-1', group: 'users.lookup'},
+          data: {id: 7}
+        }
+      },
+      {
+        at: 1025,
+        direction: 'inbound',
+        message: {
+          meta: {
+            type: 'sendMessage',
+            id: 'reply-1',
+            group: 'users.lookup-result',
+            replyTo: 'lookup-1',
+            result: 'SUCCESS'
+          },
+          data: {name: 'Jane'}
+        }
+      }
+    ].map(JSON.stringify).join('\n');
+
+    beforeEach(function() {
+      player = new Recording.Player(recording, {speed: 10, settle: 20});
+      client = player.client({rpcTimeout: 1000});
+      client.login('orders');
+    });
+
+    afterEach(function() {
+      client.close();
+      player.close();
+    });
+
+    it('replays requests and the replies to requests they made', function() {
+      client.rpcReceive('orders.create', function(message) {
+        return client.rpcSend('users.lookup', {id: message.get('user')})
+          .then(function(user) {
+            return {customer: user.get('name')};
+          });
+      });
+
+      return player.play().then(function(outbound) {
+        assert.deepEqual(
+          groups(outbound),
+          ['users.lookup', 'orders.create-result']
+        );
+        assert.equal(outbound[1].getMeta('replyTo'), 'req-1');
+        assert.equal(outbound[1].get('customer'), 'Jane');
+      });
+    });
+
+    it('drops replies to requests that are not made again', function() {
+      var handled = 0;
+      client.rpcReceive('orders.create', function() {
+        handled++;
+
+        return {};
+      });
+
+      return player.play().then(function(outbound) {
+        assert.equal(handled, 1);
+        assert.deepEqual(groups(outbound), ['orders.create-result']);
+      });
+    });
+  });
+});
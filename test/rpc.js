@@ -0,0 +1,175 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var _ = require('lodash');
+var HelpEsb = require('../help-esb');
+var helpers = require('./helpers');
+
+describe('RPC', function() {
+  var esb = helpers.esb();
+  var caller;
+  var service;
+
+  beforeEach(function() {
+    return esb.start().then(function() {
+      caller = esb.client();
+      service = esb.client();
+      caller.login('caller');
+      service.login('service');
+    });
+  });
+  afterEach(esb.stop);
+
+  it('replies with the result of the handler', function() {
+    service.rpcReceive('users.lookup', function(message) {
+      return {name: 'User ' + message.get('id')};
+    });
+
+    return service.subscribe('users.lookup').then(function() {
+      return caller.rpcSend('users.lookup', {id: 1});
+    }).then(function(response) {
+      assert.equal(response.getMeta('result'), 'SUCCESS');
+      assert.equal(response.get('name'), 'User 1');
+    });
+  });
+
+  it('rejects with the error thrown by the handler', function() {
+    service.rpcReceive('users.lookup', function(message) {
+      throw new HelpEsb.RpcError('No such user', {
+        code: 'NOT_FOUND',
+        details: {id: message.get('id')}
+      });
+    });
+
+    return service.subscribe('users.lookup').then(function() {
+      return helpers.rejection(caller.rpcSend('users.lookup', {id: 1}));
+    }).then(function(error) {
+      assert(error instanceof HelpEsb.RpcError);
+      assert.equal(error.message, 'No such user');
+      assert.equal(error.code, 'NOT_FOUND');
+      assert.deepEqual(error.details, {id: 1});
+    });
+  });
+
+  it('times out without a response', function() {
+    return caller.subscribe('unrelated').then(function() {
+      return helpers.rejection(
+        caller.rpcSend('nobody.home', {}, null, {timeout: 50})
+      );
+    }).then(function(error) {
+      assert(error instanceof HelpEsb.RpcTimeoutError);
+    });
+  });
+
+  it('answers requests beyond the concurrency limit as busy', function() {
+    service.rpcReceive('slow', function() {
+      return Promise.delay(50).return({});
+    }, {concurrency: 1, overload: 'reject'});
+
+    return service.subscribe('slow').then(function() {
+      return Promise.settle([
+        caller.rpcSend('slow', {}),
+        caller.rpcSend('slow', {})
+      ]);
+    }).spread(function(first, second) {
+      assert(first.isFulfilled());
+      assert.equal(second.reason().code, 'BUSY');
+    });
+  });
+
+  it('emits failures to subscribe for rpcReceive', function() {
+    esb.server.failNext('subscribe', 'Not allowed');
+    service.rpcReceive('secret', _.constant({}));
+
+    return helpers.next(service, 'type.error').spread(function(error) {
+      assert.equal(error.message, 'Not allowed');
+    });
+  });
+
+  describe('retries', function() {
+    it('retries busy failures as new messages', function() {
+      var requests = [];
+      service.rpcReceive('flaky', function(message) {
+        requests.push(message);
+        if (requests.length === 1) {
+          throw new HelpEsb.BusyError('Try again', {code: 'BUSY'});
+        }
+
+        return {ok: true};
+      });
+
+      return service.subscribe('flaky').then(function() {
+        return caller.rpcSend('flaky', {}, null, {
+          retry: {initialDelay: 10, jitter: 0}
+        });
+      }).then(function(response) {
+        assert(response.get('ok'));
+        assert.equal(requests.length, 2);
+        assert.notEqual(
+          requests[0].getMeta('id'),
+          requests[1].getMeta('id')
+        );
+        assert.equal(
+          requests[1].getMeta('idempotencyKey'),
+          requests[0].getMeta('id')
+        );
+        assert.equal(requests[1].getMeta('inre'), requests[0].getMeta('id'));
+        assert.equal(requests[1].getMeta('attempt'), 2);
+      });
+    });
+
+    it('gives up after the maximum number of attempts', function() {
+      var attempts = 0;
+      service.rpcReceive('down', function() {
+        attempts++;
+        throw new HelpEsb.BusyError('Try again', {code: 'BUSY'});
+      });
+
+      return service.subscribe('down').then(function() {
+        return helpers.rejection(caller.rpcSend('down', {}, null, {
+          retry: {attempts: 3, initialDelay: 10, jitter: 0}
+        }));
+      }).then(function(error) {
+        assert.equal(error.code, 'BUSY');
+        assert.equal(attempts, 3);
+      });
+    });
+
+    it('does not retry other failures', function() {
+      var attempts = 0;
+      service.rpcReceive('broken', function() {
+        attempts++;
+        throw new Error('Broken');
+      });
+
+      return service.subscribe('broken').then(function() {
+        return helpers.rejection(caller.rpcSend('broken', {}, null, {
+          retry: {initialDelay: 10, jitter: 0}
+        }));
+      }).then(function(error) {
+        assert.equal(error.message, 'Broken');
+        assert.equal(attempts, 1);
+      });
+    });
+
+    it('handles retried requests once with idempotency', function() {
+      var calls = 0;
+      service.rpcReceive('payments.charge', function() {
+        calls++;
+
+        return Promise.delay(80).return({charged: calls});
+      }, {idempotency: true});
+
+      return service.subscribe('payments.charge').then(function() {
+        return caller.rpcSend('payments.charge', {amount: 100}, null, {
+          timeout: 50,
+          retry: {initialDelay: 10, jitter: 0}
+        });
+      }).then(function(response) {
+        assert.equal(response.get('charged'), 1);
+        assert.equal(calls, 1);
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+var assert = require('assert');
+var net = require('net');
+var url = require('url');
+var Promise = require('bluebird');
+var helpers = require('./helpers');
+
+describe('Testing server', function() {
+  var esb = helpers.esb();
+  beforeEach(esb.start);
+  afterEach(esb.stop);
+
+  // Writes the raw packet to the server and returns a promise of the first
+  // message it writes back.
+  var exchange = function(packet) {
+    var uri = url.parse(esb.server.uri);
+    var socket = net.connect(uri.port, uri.hostname);
+    socket.setEncoding('utf-8');
+    socket.write(packet + '\n');
+
+    return helpers.next(socket, 'data').spread(function(data) {
+      socket.destroy();
+
+      return JSON.parse(data.split('\n')[0]);
+    });
+  };
+
+  it('replies with an error to packets that are not JSON', function() {
+    return exchange('{"meta": ').then(function(reply) {
+      assert.equal(reply.meta.type, 'error');
+    });
+  });
+
+  it('replies with an error to packets that are not messages', function() {
+    return Promise.each(['null', '42', '"meta"', '[]'], function(packet) {
+      return exchange(packet).then(function(reply) {
+        assert.equal(reply.meta.type, 'error');
+        assert.equal(reply.meta.reason, 'Packet is not a message object');
+      });
+    });
+  });
+
+  it('fails the next request of the given type', function() {
+    var client = esb.client();
+    esb.server.failNext('subscribe', 'Nope');
+
+    return client.login('failing').then(function() {
+      return helpers.rejection(client.subscribe('a'));
+    }).then(function(error) {
+      assert.equal(error.message, 'Nope');
+
+      return client.subscribe('b');
+    });
+  });
+
+  it('holds packets for the given delay', function() {
+    var client = esb.client();
+    var start;
+
+    return client.login('delayed').then(function() {
+      esb.server.delay(50);
+      start = Date.now();
+
+      return client.subscribe('a');
+    }).then(function() {
+      assert(Date.now() - start >= 45);
+    });
+  });
+});
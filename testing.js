@@ -0,0 +1,520 @@
+(function(root, factory) {
+  'use strict';
+
+  // The testing helpers are Node.js-only as the server needs to listen on a
+  // socket.
+  factory(
+    exports,
+    require('./help-esb'),
+    require('net'),
+    require('crypto'),
+    require('events').EventEmitter,
+    require('util'),
+    require('bluebird'),
+    require('uuid'),
+    require('lodash')
+  );
+}(this, function(
+  HelpEsbTesting,
+  HelpEsb,
+  net,
+  crypto,
+  EventEmitter,
+  util,
+  Promise,
+  uuid,
+  _
+) {
+  'use strict';
+
+  // ## HelpEsbTesting.Server
+  // An in-process stand-in for the ESB.  It speaks the same newline-delimited
+  // JSON protocol as the real thing, so services using `HelpEsb.Client` can be
+  // tested and developed without a broker around.
+  //
+  //     var testing = require('help-esb/testing');
+  //     var server = new testing.Server();
+  //     server.listen().then(function(uri) {
+  //       var client = new HelpEsb.Client(uri);
+  //       client.login('clientName');
+  //       // ...
+  //     });
+  //
+  // The server replies to `login` with a channel id (checking credentials, if
+  // configured), keeps track of `subscribe` and `unsubscribe` requests, and
+  // fans `sendMessage` packets out to every connection subscribed to one of
+  // the message's groups (directly or through a group pattern like
+  // `orders.*`) as well as the connection owning the message's `channel`.
+  //
+  // Messages sent with `sendConfirmed` are confirmed once they are fanned
+  // out, and sending one again with the same id only confirms it again.
+  // Messages for subscriptions with manual acknowledgements are kept per
+  // client name until they are acknowledged; those still unacknowledged when
+  // their connection goes away are delivered again once a client with the
+  // same name resubscribes, and rejected ones are delivered again right away
+  // unless they weren't to be requeued.  See
+  // [unacked](#helpesbtesting-server-unacked).
+  //
+  // The server also has a few knobs for injecting faults; see
+  // [dropConnections](#helpesbtesting-server-dropconnections),
+  // [delay](#helpesbtesting-server-delay),
+  // [sendMalformed](#helpesbtesting-server-sendmalformed), and
+  // [failNext](#helpesbtesting-server-failnext).
+
+  // ### HelpEsbTesting.Server *constructor*
+  // Supported options:
+  // * `heartbeatInterval`: Send a heartbeat to every connection this often
+  //   (in milliseconds).  Off by default; heartbeats can also be sent on
+  //   demand using [heartbeat](#helpesbtesting-server-heartbeat).
+  // * `delay`: Milliseconds to hold every packet the server sends (default 0).
+  // * `tokens`: Require logins to have one of these bearer tokens.  Can also
+  //   be a function that is given the token and client name and returns
+  //   whether to accept them.
+  // * `secrets`: Shared secrets by client name.  Clients logging in with a
+  //   `secret` are challenged to sign a nonce with it.
+  //
+  // Without `tokens` or `secrets`, any login is accepted.  Rejected logins
+  // fail with the code `UNAUTHORIZED`.
+  //
+  // Every packet received is emitted as a `packet` event with the parsed
+  // message and the connection it came in on.  `connection` and `disconnect`
+  // events are emitted as clients come and go.
+  HelpEsbTesting.Server = function(options) {
+    EventEmitter.call(this);
+
+    this._options = _.extend(
+      {heartbeatInterval: null, delay: 0, tokens: null, secrets: null},
+      options
+    );
+    this.connections = [];
+    this.uri = null;
+
+    this._failures = {};
+    this._heartbeatTimer = null;
+
+    // Ids of the confirmed messages already sent, and the messages waiting
+    // for acknowledgements by client name and message id.
+    this._confirmed = {};
+    this._unacked = {};
+    this._server = net.createServer(this._handleConnection.bind(this));
+  };
+
+  util.inherits(HelpEsbTesting.Server, EventEmitter);
+
+  // ### HelpEsbTesting.Server.listen
+  // Starts listening on the given port (a random free port by default) and
+  // returns a promise of the `tcp://` URI to give to the client.  Pass a path
+  // instead to listen on a Unix domain socket and get a `unix://` URI.
+  HelpEsbTesting.Server.prototype.listen = function(port) {
+    var listenArgs = _.isString(port) ? [port] : [port || 0, '127.0.0.1'];
+
+    return new Promise(function(resolve, reject) {
+      this._server.once('error', reject);
+      this._server.listen.apply(this._server, listenArgs.concat(function() {
+        this._server.removeListener('error', reject);
+        this.uri = _.isString(port) ?
+          'unix://' + port :
+          'tcp://127.0.0.1:' + this._server.address().port;
+
+        if (this._options.heartbeatInterval) {
+          this._heartbeatTimer = setInterval(
+            this.heartbeat.bind(this),
+            this._options.heartbeatInterval
+          );
+        }
+
+        resolve(this.uri);
+      }.bind(this)));
+    }.bind(this));
+  };
+
+  // ### HelpEsbTesting.Server.close
+  // Stops the server, dropping every connection.  Returns a promise that is
+  // resolved once the server is closed.
+  HelpEsbTesting.Server.prototype.close = function() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+
+    return new Promise(function(resolve) {
+      this._server.close(resolve);
+      this.dropConnections();
+    }.bind(this));
+  };
+
+  // ### HelpEsbTesting.Server.heartbeat
+  // Sends a heartbeat to every connection.
+  HelpEsbTesting.Server.prototype.heartbeat = function() {
+    this.connections.forEach(function(connection) {
+      this._write(connection, {meta: {type: 'heartbeat'}});
+    }, this);
+  };
+
+  // ### HelpEsbTesting.Server.dropConnections
+  // Abruptly closes every connection (or just the given one), like a broker
+  // crash or network partition would.
+  HelpEsbTesting.Server.prototype.dropConnections = function(connection) {
+    (connection ? [connection] : this.connections).forEach(function(conn) {
+      conn.socket.destroy();
+    });
+  };
+
+  // ### HelpEsbTesting.Server.delay
+  // Holds every packet the server sends for the given number of
+  // milliseconds.  Pass 0 to send packets immediately again.
+  HelpEsbTesting.Server.prototype.delay = function(ms) {
+    this._options.delay = ms;
+  };
+
+  // ### HelpEsbTesting.Server.sendMalformed
+  // Sends a packet that isn't valid JSON (or the given raw string) to every
+  // connection.
+  HelpEsbTesting.Server.prototype.sendMalformed = function(packet) {
+    this.connections.forEach(function(connection) {
+      this._writeRaw(connection, (packet || '{"meta": ') + '\n');
+    }, this);
+  };
+
+  // ### HelpEsbTesting.Server.failNext
+  // Replies to the next packet of the given type (`login`, `subscribe`,
+  // `unsubscribe`, or `sendMessage` for confirmed messages) with a failure
+  // instead of a success, using the given reason.  Failed confirmed messages
+  // aren't sent on.
+  HelpEsbTesting.Server.prototype.failNext = function(type, reason) {
+    this._failures[type] = reason || 'Injected failure';
+  };
+
+  // ### HelpEsbTesting.Server.expireCredentials
+  // Tells every connection (or just the given one) that its credentials
+  // expired, which makes the client log in again.
+  HelpEsbTesting.Server.prototype.expireCredentials = function(connection) {
+    (connection ? [connection] : this.connections).forEach(function(conn) {
+      this._write(conn, {meta: {type: 'auth-expired'}});
+    }, this);
+  };
+
+  // ### HelpEsbTesting.Server.unacked
+  // Returns the messages (as `HelpEsb.Message`s) still waiting to be
+  // acknowledged by clients with the given name.
+  HelpEsbTesting.Server.prototype.unacked = function(name) {
+    return _.map(_.values(this._unacked[name] || {}), function(entry) {
+      return new HelpEsb.Message(entry.message);
+    });
+  };
+
+  // ### HelpEsbTesting.Server.send
+  // Sends a message to the connections subscribed to its group(s) or owning
+  // its channel, exactly as if a client had sent it.
+  HelpEsbTesting.Server.prototype.send = function(message) {
+    if (message instanceof HelpEsb.Message) {
+      message = message.toJSON();
+    }
+
+    var meta = _.extend({id: uuid.v4(), type: 'sendMessage'}, message.meta);
+    var outgoing = {meta: meta, data: message.data};
+
+    this.connections.filter(function(connection) {
+      return connection.channelId === meta.channel ||
+        this._subscribed(connection, meta, false);
+    }, this).forEach(function(connection) {
+      if (
+        connection.channelId !== meta.channel &&
+        this._subscribed(connection, meta, true)
+      ) {
+        this._deliverForAck(connection, outgoing, false);
+      } else {
+        this._write(connection, outgoing);
+      }
+    }, this);
+  };
+
+  // ---
+  // ### Private Methods
+
+  // Sets up a newly accepted socket as a connection.
+  HelpEsbTesting.Server.prototype._handleConnection = function(socket) {
+    var connection = {
+      socket: socket,
+      channelId: null,
+      name: null,
+      subscriptions: {},
+      buffer: ''
+    };
+
+    socket.setEncoding('utf-8');
+    socket.on('data', this._handleData.bind(this, connection));
+    socket.on('error', _.noop);
+    socket.on('close', function() {
+      this.connections = _.without(this.connections, connection);
+      this.emit('disconnect', connection);
+    }.bind(this));
+
+    this.connections.push(connection);
+    this.emit('connection', connection);
+  };
+
+  // Splits incoming data on the newline delimiters, just like the client.
+  HelpEsbTesting.Server.prototype._handleData = function(connection, data) {
+    var packets = (connection.buffer + data).split('\n');
+    connection.buffer = packets.pop();
+    packets.forEach(this._handlePacket.bind(this, connection));
+  };
+
+  // Handles a single packet from a connection according to its type.
+  HelpEsbTesting.Server.prototype._handlePacket = function(connection, packet) {
+    var message;
+    try {
+      message = JSON.parse(packet);
+    } catch (e) {
+      this._write(connection, {meta: {type: 'error', reason: e.message}});
+      return;
+    }
+
+    if (!_.isPlainObject(message)) {
+      this._write(
+        connection,
+        {meta: {type: 'error', reason: 'Packet is not a message object'}}
+      );
+      return;
+    }
+
+    this.emit('packet', message, connection);
+
+    var meta = message.meta || {};
+    var data = message.data || {};
+    switch (meta.type) {
+      case 'login':
+        this._login(connection, message);
+        break;
+
+      case 'authenticate':
+        this._verifySignature(connection, message);
+        break;
+
+      case 'subscribe':
+        connection.subscriptions[data.channel] = {ack: data.ack || 'auto'};
+        this._reply(connection, message, {});
+        this._redeliver(connection);
+        break;
+
+      case 'unsubscribe':
+        delete connection.subscriptions[data.channel];
+        this._reply(connection, message, {});
+        break;
+
+      case 'sendMessage':
+        if (meta.confirm) {
+          this._sendConfirmed(connection, message);
+        } else {
+          this.send(message);
+        }
+        break;
+
+      case 'ack':
+      case 'nack':
+        this._acknowledge(connection, meta.type === 'ack', data);
+        break;
+    }
+  };
+
+  // Whether the connection is subscribed to one of the message's groups,
+  // only counting subscriptions with manual acknowledgements if `manual`.
+  HelpEsbTesting.Server.prototype._subscribed = function(
+    connection,
+    meta,
+    manual
+  ) {
+    var groups = [].concat(meta.group || []);
+
+    return _.any(connection.subscriptions, function(subscription, pattern) {
+      return (!manual || subscription.ack === 'manual') &&
+        _.any(groups, _.partial(HelpEsb.matchGroup, pattern));
+    });
+  };
+
+  // Sends a confirmed message on (unless it was already sent or a failure
+  // was injected) and confirms it to the sender.
+  HelpEsbTesting.Server.prototype._sendConfirmed = function(
+    connection,
+    message
+  ) {
+    var id = message.meta.id;
+    if (!_.has(this._failures, 'sendMessage') && !_.has(this._confirmed, id)) {
+      this._confirmed[id] = true;
+      this.send({meta: _.omit(message.meta, 'confirm'), data: message.data});
+    }
+
+    this._reply(connection, message, {});
+  };
+
+  // Sends a message that needs to be acknowledged to the connection, keeping
+  // it until it is.
+  HelpEsbTesting.Server.prototype._deliverForAck = function(
+    connection,
+    message,
+    redelivered
+  ) {
+    var unacked = this._unacked[connection.name] =
+      this._unacked[connection.name] || {};
+    unacked[message.meta.id] = {connection: connection, message: message};
+
+    var meta = _.extend({}, message.meta, {requiresAck: true});
+    if (redelivered) {
+      meta.redelivered = true;
+    }
+
+    this._write(connection, {meta: meta, data: message.data});
+  };
+
+  // Forgets about an acknowledged message, delivering a rejected one again
+  // if it is to be requeued.
+  HelpEsbTesting.Server.prototype._acknowledge = function(
+    connection,
+    ack,
+    data
+  ) {
+    var unacked = this._unacked[connection.name] || {};
+    var entry = unacked[data.id];
+    if (!entry) {
+      return;
+    }
+
+    delete unacked[data.id];
+    if (!ack && data.requeue !== false) {
+      this._deliverForAck(connection, entry.message, true);
+    }
+  };
+
+  // Delivers the messages that a client with the connection's name never
+  // acknowledged on a connection that has since gone away, if the connection
+  // now subscribes to them with manual acknowledgements.
+  HelpEsbTesting.Server.prototype._redeliver = function(connection) {
+    _.each(this._unacked[connection.name], function(entry) {
+      if (
+        !_.contains(this.connections, entry.connection) &&
+        this._subscribed(connection, entry.message.meta, true)
+      ) {
+        this._deliverForAck(connection, entry.message, true);
+      }
+    }, this);
+  };
+
+  // Logs the connection in if its credentials check out, challenging clients
+  // with a shared secret to prove they know it first.
+  HelpEsbTesting.Server.prototype._login = function(connection, message) {
+    var data = message.data || {};
+    var credentials = data.credentials || {};
+    var tokens = this._options.tokens;
+
+    if (
+      credentials.type === 'hmac' &&
+      _.has(this._options.secrets, data.name)
+    ) {
+      connection.nonce = uuid.v4();
+      this._write(connection, {
+        meta: {
+          type: 'login-reply',
+          replyTo: message.meta.id,
+          result: 'CHALLENGE'
+        },
+        data: {nonce: connection.nonce}
+      });
+    } else if (
+      (tokens === null && this._options.secrets === null) ||
+      (credentials.type === 'bearer' && (
+        _.isFunction(tokens) ?
+          tokens(credentials.token, data.name) :
+          _.contains(tokens, credentials.token)
+      ))
+    ) {
+      this._accept(connection, message, data.name);
+    } else {
+      this._reject(connection, message, 'Invalid credentials');
+    }
+  };
+
+  // Finishes the login of a client that was challenged if it signed the
+  // nonce with its secret.
+  HelpEsbTesting.Server.prototype._verifySignature = function(
+    connection,
+    message
+  ) {
+    var data = message.data || {};
+    var secrets = this._options.secrets;
+    var secret = _.has(secrets, data.name) ? secrets[data.name] : null;
+    var expected = secret && connection.nonce &&
+      crypto.createHmac('sha256', secret)
+        .update(connection.nonce)
+        .digest('hex');
+
+    connection.nonce = null;
+    if (expected && data.signature === expected) {
+      this._accept(connection, message, data.name);
+    } else {
+      this._reject(connection, message, 'Invalid signature');
+    }
+  };
+
+  // Completes the connection's login, giving it a channel id.
+  HelpEsbTesting.Server.prototype._accept = function(
+    connection,
+    message,
+    name
+  ) {
+    connection.name = name;
+    connection.channelId = connection.channelId || uuid.v4();
+    this._reply(connection, message, {channelId: connection.channelId});
+  };
+
+  // Fails the login with the reason and the code `UNAUTHORIZED`.
+  HelpEsbTesting.Server.prototype._reject = function(
+    connection,
+    message,
+    reason
+  ) {
+    this._write(connection, {
+      meta: {
+        type: message.meta.type + '-reply',
+        replyTo: message.meta.id,
+        result: 'FAILURE',
+        reason: reason,
+        error: {name: 'Error', message: reason, code: 'UNAUTHORIZED'}
+      }
+    });
+  };
+
+  // Replies to a login/(un)subscribe request, failing it instead if a failure
+  // was injected for the request type.
+  HelpEsbTesting.Server.prototype._reply = function(connection, request, data) {
+    var type = request.meta.type;
+    var meta = {
+      type: type + '-reply',
+      replyTo: request.meta.id,
+      result: 'SUCCESS'
+    };
+
+    if (_.has(this._failures, type)) {
+      meta.result = 'FAILURE';
+      meta.reason = this._failures[type];
+      delete this._failures[type];
+    }
+
+    this._write(connection, {meta: meta, data: data});
+  };
+
+  // Sends a message to the connection, filling in the standard meta fields.
+  HelpEsbTesting.Server.prototype._write = function(connection, message) {
+    this._writeRaw(
+      connection,
+      JSON.stringify(new HelpEsb.Message(message)) + '\n'
+    );
+  };
+
+  // Writes the raw packet to the connection after the configured delay.
+  HelpEsbTesting.Server.prototype._writeRaw = function(connection, packet) {
+    Promise.delay(this._options.delay).then(function() {
+      if (connection.socket.writable) {
+        connection.socket.write(packet);
+      }
+    });
+  };
+}));